@@ -0,0 +1,132 @@
+// ============================================================
+// Aircraft – built-in airframes for the hangar
+//
+// Definition format:
+//   {
+//     id, name, description,
+//     model:      'models/x.glb' | null   – null → procedural only
+//     procedural: { … }                   – fallback / built-in look
+//                                           (see PlaneModel._createProceduralModel)
+//     propeller:  'prop'                  – node name (substring) in the GLB
+//     collisionPoints: [[x, y, z], …]     – body frame, metres (−Z = nose)
+//     physics:    { … }                   – PhysicsEngine overrides
+//                                           (see PhysicsEngine._setDefaults)
+//   }
+// ============================================================
+
+export const DEFAULT_AIRCRAFT = 'trainer';
+
+export const AIRCRAFT = [
+    {
+        id: 'trainer',
+        name: 'Trainer',
+        description: 'Forgiving high-wing all-rounder',
+        model: 'models/plane.glb',
+        propeller: 'prop',
+        procedural: {
+            bodyColor: 0xcc2222, wingColor: 0xeeeeee,
+            length: 0.9, span: 1.5, chord: 0.3, bodyRadius: 0.1,
+        },
+        collisionPoints: [
+            [0, 0, -0.5],     // nose
+            [0, 0, 0.4],      // tail
+            [0.6, 0, 0],      // right wingtip
+            [-0.6, 0, 0],     // left wingtip
+            [0, 0.15, 0],     // top
+            [0, -0.1, 0],     // bottom
+        ],
+        physics: {},        // the engine defaults are the trainer
+    },
+    {
+        id: 'racer',
+        name: 'Racer',
+        description: 'Fast and twitchy – short wings, big engine',
+        model: null,
+        propeller: 'prop',
+        procedural: {
+            bodyColor: 0x2255dd, wingColor: 0xffcc00,
+            length: 0.85, span: 1.0, chord: 0.22, bodyRadius: 0.08,
+        },
+        collisionPoints: [
+            [0, 0, -0.5],
+            [0, 0, 0.38],
+            [0.45, 0, 0],
+            [-0.45, 0, 0],
+            [0, 0.13, 0],
+            [0, -0.09, 0],
+        ],
+        physics: {
+            mass:              1.1,
+            wingArea:          0.36,
+            maxThrust:         20,
+            boostThrust:       36,
+            liftCoefficient:   0.2,
+            criticalAoA:       0.24,
+            dragCoefficient:   0.1,
+            inducedDragFactor: 0.1,
+            inertia:           [0.04, 0.07, 0.02],
+            controlPower:      [0.6, 0.6, 0.5],
+            rateDamping:       [0.16, 0.28, 0.1],
+            pitchStability:    1.2,
+            arcadeTurnRate:    3.4,
+            launchSpeed:       7,
+            maxSpeed:          18,
+            boostMaxSpeed:     26,
+            wingDropRate:      2.6,
+            gearHeight:        0.1,
+            rotationSpeed:     7.5,
+            maxSinkRate:       2.2,
+            fuelBurn:          1.4,
+            boostBurn:         5,
+        },
+    },
+    {
+        id: 'glider',
+        name: 'Motor Glider',
+        description: 'Slow, floaty and efficient – gentle turns',
+        model: null,
+        propeller: 'prop',
+        procedural: {
+            bodyColor: 0xf2f2f2, wingColor: 0x33aa55,
+            length: 0.95, span: 2.2, chord: 0.22, bodyRadius: 0.07,
+        },
+        collisionPoints: [
+            [0, 0, -0.5],
+            [0, 0, 0.45],
+            [0.95, 0, 0],
+            [-0.95, 0, 0],
+            [0, 0.13, 0],
+            [0, -0.08, 0],
+        ],
+        physics: {
+            mass:              0.8,
+            wingArea:          0.6,
+            maxThrust:         4,
+            boostThrust:       9,
+            liftCoefficient:   0.35,
+            liftSlope:         5.2,
+            dragCoefficient:   0.05,
+            inducedDragFactor: 0.05,
+            inertia:           [0.05, 0.1, 0.06],
+            controlPower:      [0.45, 0.5, 0.4],
+            rateDamping:       [0.22, 0.4, 0.25],
+            weathervane:       1.0,
+            dihedral:          0.5,
+            arcadeTurnRate:    2.0,
+            launchSpeed:       4,
+            maxSpeed:          11,
+            boostMaxSpeed:     15,
+            wingDropRate:      1.2,
+            gearHeight:        0.1,
+            rotationSpeed:     4.5,
+            maxSinkRate:       1.5,
+            fuelBurn:          0.6,
+            boostBurn:         3,
+        },
+    },
+];
+
+/** Definition by id, falling back to the trainer for unknown ids. */
+export function getAircraft(id) {
+    return AIRCRAFT.find((a) => a.id === id) || AIRCRAFT[0];
+}
@@ -3,10 +3,13 @@
 //
 // Initialises Three.js, WebXR, and wires all subsystems:
 //   • PhysicsEngine   – realistic aerodynamic forces
-//   • Controls        – touch joysticks + buttons
+//   • Controls        – touch joysticks, keyboard & gamepad
 //   • GameManager     – levels, checkpoints, scoring
 //   • OcclusionSystem – real-world surface occlusion & collision
 //   • PlaneModel      – GLB loader with procedural fallback
+//   • SimulatorRoom   – non-AR virtual room + chase camera
+//   • Replay*         – ghost recording / playback of best runs
+//   • LevelEditor     – custom checkpoint courses
 // ============================================================
 import * as THREE from 'three';
 import { ARButton } from 'three/addons/webxr/ARButton.js';
@@ -15,7 +18,26 @@ import { PhysicsEngine }   from './physics.js';
 import { Controls }         from './controls.js';
 import { GameManager }      from './game.js';
 import { OcclusionSystem }  from './occlusion.js';
+import { DEPTH_SENSING_INIT } from './depthOcclusion.js';
 import { PlaneModel }       from './planeModel.js';
+import { SimulatorRoom, ChaseCamera } from './simulator.js';
+import { LevelEditor }      from './editor.js';
+import { AIRCRAFT, getAircraft } from './aircraft.js';
+import { loadBundledLevels } from './levels.js';
+import { getSettings, updateSettings } from './saveData.js';
+import { surfaceHeightBelow } from './courseFit.js';
+import { isLandingLevel } from './landing.js';
+import { DamageModel } from './damage.js';
+import { ProximityMonitor } from './proximity.js';
+import { AudioSystem } from './audio.js';
+import {
+    ReplayRecorder,
+    ReplayPlayer,
+    serializeReplay,
+    deserializeReplay,
+    loadBestReplay,
+    saveBestReplay,
+} from './replay.js';
 
 // ---- Core Three.js ----
 let camera, scene, renderer;
@@ -24,12 +46,55 @@ let hitTestSource          = null;
 let hitTestSourceRequested = false;
 
 // ---- Subsystems ----
-let physics, controls, game, occlusion, planeModel;
+let physics, controls, game, occlusion, planeModel, editor;
+let proximity, audio;
+let fuelWarned = false;     // "out of fuel" already shown this run
+const damage   = new DamageModel();
+let courseFloorY = 0;       // floor height under the course
+
+// ---- Simulator mode (no WebXR) ----
+let simMode = false;
+let room, chaseCam;
+const editorFocus   = new THREE.Vector3();     // chase-cam target while editing
+const editorHeading = new THREE.Quaternion();
 
 // ---- Plane state ----
 const planePos  = new THREE.Vector3();
 const planeQuat = new THREE.Quaternion();
 
+// Previous physics pose + interpolated pose handed to the renderer
+const prevPlanePos  = new THREE.Vector3();
+const prevPlaneQuat = new THREE.Quaternion();
+const renderPos     = new THREE.Vector3();
+const renderQuat    = new THREE.Quaternion();
+const impactQuat    = new THREE.Quaternion();
+
+// ---- Ghost replays ----
+let ghostModel;
+const recorder   = new ReplayRecorder();
+let ghostPlayer  = null;   // playback for the current attempt
+let sharedGhost  = null;   // replay loaded from a file (beats the stored best)
+let lastReplay   = null;   // most recent completed run
+const ghostPos   = new THREE.Vector3();
+const ghostQuat  = new THREE.Quaternion();
+
+// ---- Course anchor (WebXR anchors) ----
+let courseAnchor        = null;
+let pendingCourseOrigin = null;  // pose waiting for the next XR frame
+
+// ---- Timing (fixed-timestep physics) ----
+const FIXED_DT  = 1 / 60;  // physics step (s) – the rate the flight model is tuned for
+const MAX_FRAME = 0.25;    // longest frame we catch up on (avoids a spiral of death)
+let lastTimestamp = null;
+let accumulator   = 0;
+let paused        = false;
+
+// ---- Placement ----
+const SPAWN_AHEAD = 3;     // m – course origin / air launch ahead of the viewer
+
+// ---- Sound (saved in the settings) ----
+const VOLUME_STEPS = [1, 0.6, 0.3];   // the sound button cycles these, then mute
+
 // ---- Boot ----
 init();
 
@@ -49,28 +114,50 @@ async function init() {
     scene.add(dir);
     scene.add(new THREE.AmbientLight(0x404040, 1));
 
+    // === Mode: WebXR AR or browser simulator ===
+    simMode = await detectSimulatorMode();
+
     // === Renderer ===
     renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
     renderer.setPixelRatio(window.devicePixelRatio);
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.xr.enabled = true;
+    renderer.xr.enabled = !simMode;
     renderer.outputColorSpace = THREE.SRGBColorSpace;
     document.body.appendChild(renderer.domElement);
 
-    // === AR Button ===
-    //  • hit-test       → floor detection reticle
-    //  • plane-detection → real-world occlusion & collision
-    //  • dom-overlay     → HTML HUD in AR
-    const arBtn = ARButton.createButton(renderer, {
-        requiredFeatures: ['hit-test'],
-        optionalFeatures: [
-            'dom-overlay',
-            'plane-detection',
-            'depth-sensing',
-        ],
-        domOverlay: { root: document.body },
-    });
-    document.body.appendChild(arBtn);
+    if (simMode) {
+        // === Simulator: virtual room + chase camera ===
+        room     = new SimulatorRoom(scene, parseRoomParam());
+        chaseCam = new ChaseCamera(renderer.domElement, room);
+
+        document.getElementById('info').textContent =
+            '🖥️ Simulator mode – pick a spawn';
+        document.getElementById('placeHint').textContent =
+            '🖥️ No AR – WASD / arrows, Shift boost, R reset, M mute';
+        document.getElementById('occlusionInfo').textContent =
+            '🖥️ Simulator';
+    } else {
+        // === AR Button ===
+        //  • hit-test       → floor detection reticle
+        //  • plane-detection → real-world occlusion & collision
+        //  • mesh-detection  → furniture shapes as occluders / obstacles
+        //  • depth-sensing   → per-pixel occlusion, non-planar collision
+        //  • dom-overlay     → HTML HUD in AR
+        //  • anchors         → course pinned to the placement point
+        const arBtn = ARButton.createButton(renderer, {
+            requiredFeatures: ['hit-test'],
+            optionalFeatures: [
+                'dom-overlay',
+                'plane-detection',
+                'mesh-detection',
+                'depth-sensing',
+                'anchors',
+            ],
+            domOverlay:   { root: document.body },
+            depthSensing: DEPTH_SENSING_INIT,
+        });
+        document.body.appendChild(arBtn);
+    }
 
     // === Reticle (floor placement) ===
     reticle = new THREE.Mesh(
@@ -81,22 +168,42 @@ async function init() {
     reticle.visible = false;
     scene.add(reticle);
 
+    // === Level files shipped in levels/ (before the selector is built) ===
+    await loadBundledLevels();
+
     // === Subsystems ===
     physics    = new PhysicsEngine();
-    controls   = new Controls();
+    controls   = new Controls(getSettings().controls);
     game       = new GameManager(scene);
     occlusion  = new OcclusionSystem(scene, renderer);
+    proximity  = new ProximityMonitor(occlusion);
+    audio      = new AudioSystem(scene, simMode ? chaseCam.camera : camera);
     planeModel = new PlaneModel(scene);
+    ghostModel = new PlaneModel(scene);
+    editor     = new LevelEditor(game);
+    ghostModel.setGhost();   // before load() – kept through aircraft changes
+
+    // Simulator walls & ceiling are what the plane can hit there
+    if (simMode) occlusion.setStaticSurfaces(room.getSurfaces());
 
-    // Load GLB (falls back to procedural)
-    await planeModel.load();
+    // Hangar pick: physics + model (GLB falls back to procedural)
+    await selectAircraft(getSettings().aircraft);
+    buildHangar();
 
     // === Wire controls ===
-    controls.setup({ onReset: () => game.resetGame() });
+    controls.setup({
+        onReset: () => { if (!editor.active) game.resetGame(); },
+        onMute:  () => applySound(updateSettings({ muted: !audio.muted })),
+        onGamepadChange: (pad) => {
+            document.getElementById('info').textContent = pad
+                ? '🎮 Gamepad connected'
+                : '🎮 Gamepad disconnected';
+        },
+    });
 
     // === Placement buttons ===
     document.getElementById('placeOnFloorBtn').addEventListener('click', () => {
-        if (reticle.visible) {
+        if (simMode || reticle.visible) {
             placePlane(false);
         } else {
             document.getElementById('info').textContent =
@@ -107,10 +214,48 @@ async function init() {
         placePlane(true);
     });
 
+    // === Flight model (arcade for new pilots) ===
+    applyFlightModel(getSettings().flightModel);
+    document.getElementById('flightModelBtn').addEventListener('click', () => {
+        const next = physics.flightModel === 'arcade' ? 'realistic' : 'arcade';
+        applyFlightModel(updateSettings({ flightModel: next }).flightModel);
+        document.getElementById('info').textContent = next === 'arcade'
+            ? '🎛️ Arcade: the sticks set the turn rate directly'
+            : '🎛️ Realistic: inertia, damping and stability';
+    });
+
+    // === Sound: volume steps, then muted ===
+    applySound(getSettings());
+    document.getElementById('soundBtn').addEventListener('click', () => {
+        const step = audio.muted ? 0 : VOLUME_STEPS.indexOf(audio.volume) + 1;
+        applySound(updateSettings(step < VOLUME_STEPS.length
+            ? { volume: VOLUME_STEPS[step], muted: false }
+            : { muted: true }));
+    });
+
+    // === Level editor ===
+    editor.canUseReticle = !simMode;
+    editor.getPlacement  = getEditorPlacement;
+    editor.onSave = (level) => game.selectLevel(level.id);
+    editor.onExit = () => game.refreshLevels();
+    document.getElementById('editorBtn').addEventListener('click', () => {
+        if (game.isPlaced) return;
+        // Same rule as "Place on floor" – fly it from the spot the reticle marks
+        const origin = computeCourseOrigin(reticle.visible);
+        game.setCourseOrigin(origin.position, origin.quaternion);
+        editor.open(game.getLevelConfig());
+    });
+
     // === Callbacks ===
-    game.onGameEnd = (win) => {
+    game.onGameEnd = (win, impact) => {
         controls.resetSticks();
-        if (!win) planeModel.createCrashEffect(planePos.clone());
+        if (!win) planeModel.createCrashEffect((impact || planePos).clone());
+        finishRecording(win);
+    };
+
+    game.onCheckpoint = (index) => {
+        recorder.recordCheckpoint(index);
+        audio.chime();
     };
 
     game.onReset = () => {
@@ -119,43 +264,341 @@ async function init() {
         controls.resetSticks();
         hitTestSourceRequested = false;
         reticle.visible = false;
+        pendingCourseOrigin = null;
+        releaseCourseAnchor();
+        recorder.cancel();
+        ghostPlayer = null;
+        ghostModel.hide();
     };
 
+    // === Ghost sharing ===
+    document.getElementById('shareGhostBtn').addEventListener('click', () => {
+        if (lastReplay) {
+            downloadText(`arflight-ghost-L${lastReplay.levelId}.json`,
+                serializeReplay(lastReplay));
+        }
+    });
+    const ghostFile = document.getElementById('loadGhostFile');
+    document.getElementById('loadGhostBtn').addEventListener('click', () => ghostFile.click());
+    ghostFile.addEventListener('change', async () => {
+        const file = ghostFile.files[0];
+        ghostFile.value = '';
+        if (!file) return;
+        try {
+            sharedGhost = deserializeReplay(await file.text());
+            const secs  = (sharedGhost.frameCount / sharedGhost.tickRate).toFixed(2);
+            document.getElementById('info').textContent =
+                `👻 Ghost loaded for Level ${sharedGhost.levelId} (${secs}s)`;
+        } catch (err) {
+            document.getElementById('info').textContent =
+                `❌ Ghost not loaded: ${err.message}`;
+        }
+    });
+
+    // === Pause while the XR session / browser tab is hidden ===
+    renderer.xr.addEventListener('sessionstart', () => {
+        const session = renderer.xr.getSession();
+        session.addEventListener('visibilitychange', () =>
+            setPaused(session.visibilityState !== 'visible'));
+    });
+    renderer.xr.addEventListener('sessionend', () => {
+        courseAnchor        = null;
+        pendingCourseOrigin = null;
+    });
+    document.addEventListener('visibilitychange', () =>
+        setPaused(document.hidden));
+
     // === Resize ===
     window.addEventListener('resize', onResize);
 
     // === Render loop ===
     renderer.setAnimationLoop(render);
+
+    // === Collision query benchmark (?bench) ===
+    if (new URLSearchParams(window.location.search).has('bench')) runBenchmark();
+
+    // === Hands-off launch check (?launchcheck) ===
+    if (new URLSearchParams(window.location.search).has('launchcheck')) runLaunchChecks();
+}
+
+/* ============================================================
+ *  Hangar – aircraft and flight model (persisted in the save settings)
+ * ============================================================ */
+async function selectAircraft(id) {
+    const aircraft = getAircraft(id);
+    physics.configure(aircraft.physics);
+    document.getElementById('aircraftDesc').textContent =
+        `${aircraft.name}: ${aircraft.description}`;
+
+    await Promise.all([planeModel.load(aircraft), ghostModel.load(aircraft)]);
+    return aircraft;
+}
+
+function buildHangar() {
+    const container = document.getElementById('hangarSelect');
+    container.innerHTML = '';
+    const current = getAircraft(getSettings().aircraft);
+
+    AIRCRAFT.forEach((aircraft) => {
+        const btn       = document.createElement('button');
+        btn.className   = 'hangarBtn' + (aircraft === current ? ' selected' : '');
+        btn.textContent = `✈️ ${aircraft.name.toUpperCase()}`;
+        btn.title       = aircraft.description;
+        btn.addEventListener('click', async () => {
+            if (game.isPlaced) return;
+            container.querySelectorAll('.hangarBtn')
+                .forEach(b => b.classList.remove('selected'));
+            btn.classList.add('selected');
+            updateSettings({ aircraft: aircraft.id });
+            await selectAircraft(aircraft.id);
+        });
+        container.appendChild(btn);
+    });
+}
+
+function applyFlightModel(model) {
+    physics.setFlightModel(model);
+    document.getElementById('flightModelBtn').textContent =
+        `🎛️ FLIGHT: ${physics.flightModel.toUpperCase()}`;
+}
+
+function applySound({ volume, muted }) {
+    audio.setVolume(volume, muted);
+    document.getElementById('soundBtn').textContent = muted
+        ? '🔇 SOUND: MUTED'
+        : `🔊 SOUND: ${Math.round(volume * 100)}%`;
 }
 
 /* ============================================================
  *  Place the airplane in the world
  * ============================================================ */
 function placePlane(inAir) {
-    const level = game.getLevelConfig();
-    physics.setWind(level.windSpeed, level.windDirection, level.turbulence);
+    audio.unlock();   // the button press is the gesture browsers want
 
-    if (inAir) {
+    // Build the course around the player's actual spot, clear of the room
+    const origin = computeCourseOrigin(!inAir);
+
+    if (simMode) {
+        // Simulator: buttons map to fixed spawn points in the room
+        planePos.copy(inAir ? room.airSpawn : room.floorSpawn);
+        planeQuat.identity();
+    } else if (inAir) {
         const camPos = camera.getWorldPosition(new THREE.Vector3());
-        const camDir = new THREE.Vector3(0, 0, -3).applyQuaternion(camera.quaternion);
-        planePos.copy(camPos).add(camDir);
-        planePos.y = Math.max(planePos.y, 1.5);
+        planePos.set(origin.position.x, Math.max(camPos.y, 1.5), origin.position.z);
         planeQuat.copy(camera.quaternion);
     } else {
-        planePos.setFromMatrixPosition(reticle.matrix);
-        planePos.y += 0.6;
-        planeQuat.identity();
+        planePos.copy(origin.position);
+        planeQuat.copy(origin.quaternion);
     }
 
-    // Initial forward velocity
-    const fwd = new THREE.Vector3(0, 0, -1).applyQuaternion(planeQuat);
-    physics.setInitialVelocity(fwd, 5);
+    // Floor placement starts on the wheels for a take-off roll
+    courseFloorY        = origin.position.y;
+    physics.groundLevel = courseFloorY;
+    if (!inAir) physics.placeOnGround(planePos, origin.position.y);
 
     planeModel.updateTransform(planePos, planeQuat);
     planeModel.show();
+    prevPlanePos.copy(planePos);
+    prevPlaneQuat.copy(planeQuat);
+    accumulator = 0;
+
+    game.setCourseOrigin(origin.position, origin.quaternion);
+    if (!simMode) pendingCourseOrigin = origin;
+    game.setRoomSurfaces(
+        simMode ? room.getSurfaces() : occlusion.getSurfaces(), planePos
+    );
 
     game.startLevel();
-    document.getElementById('info').textContent = '✈️ Fly through the checkpoints!';
+
+    // Wind lives in course space, so it follows the fitted course
+    physics.setWind(game.getWindConfig(), game.courseGroup);
+
+    // Initial forward velocity (airspeed) for a hand launch
+    if (inAir) {
+        const fwd = new THREE.Vector3(0, 0, -1).applyQuaternion(planeQuat);
+        physics.setInitialVelocity(fwd, physics.launchSpeed, planePos);
+    }
+    physics.refuel(game.getLevelConfig().fuel);
+    fuelWarned = false;
+    damage.reset(game.getLevelConfig().health);
+
+    startRecording();
+}
+
+/* ============================================================
+ *  Course origin – one rule for play and the editor, turned to
+ *  the viewer's heading:
+ *    on the reticle – the placement point itself (floor spawn,
+ *                     and the editor whenever the reticle shows)
+ *    in the air     – the floor SPAWN_AHEAD m in front of the viewer
+ * ============================================================ */
+function computeCourseOrigin(onReticle) {
+    if (simMode) {
+        return { position: room.floorSpawn.clone(), quaternion: new THREE.Quaternion() };
+    }
+
+    const camPos = camera.getWorldPosition(new THREE.Vector3());
+    const fwd    = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+    const quaternion = new THREE.Quaternion().setFromAxisAngle(
+        new THREE.Vector3(0, 1, 0), Math.atan2(-fwd.x, -fwd.z)
+    );
+
+    if (onReticle && reticle.visible) {
+        return { position: new THREE.Vector3().setFromMatrixPosition(reticle.matrix), quaternion };
+    }
+
+    const ahead    = new THREE.Vector3(0, 0, -SPAWN_AHEAD).applyQuaternion(quaternion);
+    const position = new THREE.Vector3(camPos.x + ahead.x, camPos.y, camPos.z + ahead.z);
+    position.y = reticle.visible
+        ? reticle.matrix.elements[13]                          // floor height seen by hit-test
+        : surfaceHeightBelow(position, occlusion.getSurfaces()) // a detected plane under it
+          ?? 0;                                                 // 'local-floor': y = 0 is the floor
+    return { position, quaternion };
+}
+
+/* ============================================================
+ *  Level editor – ring placement
+ * ============================================================ */
+
+/**
+ * Where a new ring goes: on the reticle (AR) or in the air ahead of
+ * the camera. Forward is the horizontal view direction – the ring faces it.
+ * @param {'reticle'|'air'} kind
+ */
+function getEditorPlacement(kind) {
+    const view     = simMode ? chaseCam.camera : camera;
+    const viewPos  = view.getWorldPosition(new THREE.Vector3());
+    const viewDir  = new THREE.Vector3(0, 0, -1).applyQuaternion(view.quaternion);
+    const forward  = new THREE.Vector3(viewDir.x, 0, viewDir.z);
+    if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+    forward.normalize();
+
+    if (kind === 'reticle') {
+        if (simMode || !reticle.visible) return null;
+        return { position: new THREE.Vector3().setFromMatrixPosition(reticle.matrix), forward };
+    }
+
+    const position = viewPos.add(viewDir.multiplyScalar(simMode ? 3 : 1.5));
+    if (simMode) {
+        position.x = THREE.MathUtils.clamp(position.x, -room.width / 2 + 1, room.width / 2 - 1);
+        position.z = THREE.MathUtils.clamp(position.z, -room.depth / 2 + 1, room.depth / 2 - 1);
+        position.y = THREE.MathUtils.clamp(position.y, 1, room.height - 1);
+    }
+    return { position, forward };
+}
+
+/* ============================================================
+ *  Course anchor – create on the first frame after placement,
+ *  then follow its pose so the course stays put as tracking drifts
+ * ============================================================ */
+function updateCourseAnchor(frame) {
+    const refSpace = renderer.xr.getReferenceSpace();
+    if (!refSpace) return;
+
+    if (pendingCourseOrigin) {
+        const { position: p, quaternion: q } = pendingCourseOrigin;
+        pendingCourseOrigin = null;
+
+        if (frame.createAnchor) {
+            frame.createAnchor(
+                new XRRigidTransform(
+                    { x: p.x, y: p.y, z: p.z },
+                    { x: q.x, y: q.y, z: q.z, w: q.w }
+                ),
+                refSpace
+            ).then((anchor) => {
+                releaseCourseAnchor();
+                if (game.isPlaced) courseAnchor = anchor;
+                else anchor.delete();
+            }).catch((err) => {
+                console.warn('⚠️ Anchor unavailable – course stays in place.', err?.message || '');
+            });
+        }
+    }
+
+    if (courseAnchor && frame.trackedAnchors && frame.trackedAnchors.has(courseAnchor)) {
+        const pose = frame.getPose(courseAnchor.anchorSpace, refSpace);
+        if (pose) game.setCourseMatrix(pose.transform.matrix);
+    }
+}
+
+function releaseCourseAnchor() {
+    if (courseAnchor) courseAnchor.delete();
+    courseAnchor = null;
+}
+
+/* ============================================================
+ *  Fixed simulation step (physics + game clock)
+ * ============================================================ */
+function stepSimulation(dt) {
+    prevPlanePos.copy(planePos);
+    prevPlaneQuat.copy(planeQuat);
+
+    updatePhysics(dt);
+    game.tick(dt);
+    if (game.isFlying) recordTick();
+}
+
+/* ============================================================
+ *  Ghost replays – record this run, play back the best one
+ * ============================================================ */
+function startRecording() {
+    const level = game.getLevelConfig();
+    recorder.start(level.id, Math.round(1 / FIXED_DT));
+
+    const replay = sharedGhost && sharedGhost.levelId === level.id
+        ? sharedGhost
+        : loadBestReplay(level.id);
+    ghostPlayer = replay ? new ReplayPlayer(replay) : null;
+    ghostModel.hide();
+}
+
+function recordTick() {
+    game.worldToCourse(planePos, planeQuat, ghostPos, ghostQuat);
+    recorder.recordTick(ghostPos, ghostQuat, controls);
+}
+
+function finishRecording(win) {
+    ghostModel.hide();
+    const shareBtn = document.getElementById('shareGhostBtn');
+    shareBtn.style.display = 'none';
+    if (!recorder.active) return;
+
+    if (!win) {
+        recorder.cancel();
+        return;
+    }
+
+    recordTick();  // final pose at the finish
+    lastReplay = recorder.finish();
+    shareBtn.style.display = 'inline-block';
+    if (saveBestReplay(lastReplay)) {
+        document.getElementById('gameMsg').textContent += ' 👻 New ghost saved!';
+    }
+}
+
+function updateGhost(dt) {
+    if (!ghostPlayer || !game.isFlying) return;
+
+    // Same moment as the interpolated plane pose
+    const t = game.elapsed - FIXED_DT + accumulator;
+    if (ghostPlayer.sample(t, ghostPos, ghostQuat)) {
+        game.courseToWorld(ghostPos, ghostQuat, ghostPos, ghostQuat);
+        ghostModel.updateTransform(ghostPos, ghostQuat);
+        ghostModel.spinPropeller(ghostPlayer.throttleAt(t) * 14, dt);
+        ghostModel.show();
+    } else {
+        ghostModel.hide();
+    }
+}
+
+function downloadText(filename, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const a   = document.createElement('a');
+    a.href     = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
 }
 
 /* ============================================================
@@ -164,16 +607,25 @@ function placePlane(inAir) {
 function updatePhysics(dt) {
     if (!game.isFlying) return;
 
+    // The wheels meet the floor – or a table, desk… under the plane
+    physics.groundLevel = surfaceHeightBelow(planePos, game.roomSurfaces) ?? courseFloorY;
+
     const result = physics.update(
         dt, controls, planePos, planeQuat, controls.isBoosting
     );
 
-    // --- Ground collision ---
-    if (planePos.y < 0.15) {
-        planePos.y = 0.15;
-        game.endGame('CRASHED!', 'Hit the ground!', false);
-        planeModel.createCrashEffect(planePos.clone());
-        return;
+    // --- Ground contact (the wheels are handled by the physics) ---
+    if (result.ground === 'impact' && handleGroundImpact()) return;
+    if (result.ground === 'touchdown') {
+        game.recordTouchdown(planePos, planeQuat, physics.touchdownSinkRate, physics.maxSinkRate);
+        if (!isLandingLevel(game.getLevelConfig())) {
+            document.getElementById('info').textContent =
+                `🛬 Touchdown – ${physics.touchdownSinkRate.toFixed(2)} m/s sink`;
+        }
+    }
+    if (result.fuel <= 0 && !fuelWarned) {
+        fuelWarned = true;
+        document.getElementById('info').textContent = '⛽ Out of fuel – glide it in!';
     }
 
     // --- Ceiling clamp ---
@@ -184,34 +636,118 @@ function updatePhysics(dt) {
 
     // --- Update model ---
     planeModel.updateTransform(planePos, planeQuat);
-    planeModel.spinPropeller(result.speed, dt);
+    planeModel.spinPropeller(result.airspeed, dt);
 
     // --- Stall warning ---
     document.getElementById('stallWarning').style.display =
         result.isStalling ? 'block' : 'none';
 
-    // === Real-world collision (occlusion surfaces) ===
-    const collisionPts = planeModel.getCollisionPoints();
-    const hit = occlusion.checkCollision(collisionPts);
-    if (hit) {
-        game.endGame('CRASHED!', 'Hit a real-world object!', false);
-        planeModel.createCrashEffect(hit.point || planePos.clone());
-        return;
-    }
+    // === Real-world collision (swept over this step) ===
+    const hit = occlusion.checkCollision(
+        planeModel.getCollisionShape(),
+        { position: prevPlanePos, quaternion: prevPlaneQuat },
+        { position: planePos,     quaternion: planeQuat },
+        { groundY: physics.groundLevel, floorY: courseFloorY }
+    );
+    if (hit && handleImpact(hit)) return;
+
+    // --- Proximity / terrain awareness ---
+    const alert = proximity.update(planePos, planeQuat, physics.velocity,
+        planeModel.getCollisionShape(),
+        { onGround: result.onGround, fallbackAltitude: result.altitude });
+    showProximityAlert(alert);
 
     // --- Gameplay checks ---
     game.checkCheckpoints(planePos);
-    game.checkFinish(planePos);
+    game.checkFinish(planePos, result);
 
     // --- HUD ---
-    game.updateHUD(result.speed, result.altitude);
+    game.updateHUD(result.airspeed, result.groundSpeed, alert.radarAltitude, result.fuel,
+        damage.enabled ? damage.fraction : null);
+}
+
+/** Banner + alarm for a ProximityMonitor alert (null clears both). */
+function showProximityAlert(alert) {
+    const el    = document.getElementById('proximityWarning');
+    const level = alert ? alert.level : null;
+    if (level) {
+        el.textContent = `⚠️ ${alert.message}`;
+        el.className   = level;
+    }
+    el.style.display = level ? 'block' : 'none';
+    audio.setAlarm(level);
+}
+
+/**
+ * Reacts to a real-world hit by surface type. Heavy impacts end the
+ * run where it struck; on levels with a hull (see damage.js) glancing
+ * ones cost health and knock the plane back off the surface. The
+ * ceiling always knocks back – it only costs health where there is some.
+ * @returns {boolean} true when the run ended
+ */
+function handleImpact(hit) {
+    // Back to the pose at the moment of impact
+    planePos.lerpVectors(prevPlanePos, planePos, hit.time);
+    planeQuat.copy(impactQuat.slerpQuaternions(prevPlaneQuat, planeQuat, hit.time));
+    planeModel.updateTransform(planePos, planeQuat);
+
+    const names = {
+        floor:   'the floor',
+        table:   'the table',
+        wall:    'a wall',
+        ceiling: 'the ceiling',
+        object:  hit.label ? `the ${hit.label}` : 'a real-world object',
+    };
+    const name    = names[hit.surface] || names.object;
+    const verdict = hit.surface === 'ceiling' && !damage.enabled
+        ? { fatal: false, damage: 0 }
+        : damage.impact(physics.velocity, hit.normal);
+
+    if (verdict.fatal) {
+        game.crash(`Hit ${name}!`, hit.point);
+        audio.crash(hit.point);
+        return true;
+    }
+
+    damage.knockBack(physics.velocity, hit.normal);
+    planePos.addScaledVector(hit.normal, 0.02);   // clear of the surface
+    planeModel.updateTransform(planePos, planeQuat);
+    document.getElementById('info').textContent = verdict.damage > 0
+        ? `💥 Scraped ${name}! Hull ${Math.round(damage.fraction * 100)}%`
+        : `🪨 Scraped ${name}!`;
+    return false;
+}
+
+/**
+ * Touchdown the undercarriage could not take (too hard, banked,
+ * nose-first or crabbing): a crash, or a bounce on levels with a hull.
+ * @returns {boolean} true when the run ended
+ */
+function handleGroundImpact() {
+    const up      = new THREE.Vector3(0, 1, 0);
+    const verdict = damage.impact(physics.velocity, up);
+    if (verdict.fatal) {
+        game.crash(`Hit the ground! (${physics.touchdownSinkRate.toFixed(1)} m/s)`, planePos);
+        audio.crash(planePos);
+        return true;
+    }
+
+    damage.knockBack(physics.velocity, up);
+    planePos.y = Math.max(planePos.y, physics.groundLevel + physics.gearHeight + 0.02);
+    document.getElementById('info').textContent =
+        `💥 Hard landing! Hull ${Math.round(damage.fraction * 100)}%`;
+    return false;
 }
 
 /* ============================================================
  *  Render loop (called by WebXR animation frame)
  * ============================================================ */
 function render(timestamp, frame) {
-    const dt = 0.016; // ~60 fps target
+    // Real frame time from the XR / rAF timestamp
+    const dt = lastTimestamp === null
+        ? 0
+        : Math.min((timestamp - lastTimestamp) / 1000, MAX_FRAME);
+    lastTimestamp = timestamp;
 
     // ---- Hit-test for floor detection (before placement) ----
     if (frame && !game.isPlaced) {
@@ -251,11 +787,33 @@ function render(timestamp, frame) {
         }
     }
 
+    // ---- Input (touch / keyboard / gamepad) ----
+    controls.update(dt);
+
+    // ---- Course anchor ----
+    if (frame) updateCourseAnchor(frame);
+
     // ---- Occlusion system (real-world plane tracking) ----
     occlusion.update(frame);
 
-    // ---- Physics & game logic ----
-    updatePhysics(dt);
+    // ---- Physics & game logic (fixed steps) ----
+    if (!paused) {
+        accumulator += dt;
+        while (accumulator >= FIXED_DT) {
+            stepSimulation(FIXED_DT);
+            accumulator -= FIXED_DT;
+        }
+    }
+
+    // ---- Interpolated plane pose between the last two steps ----
+    if (game.isFlying) {
+        const alpha = accumulator / FIXED_DT;
+        renderPos.lerpVectors(prevPlanePos, planePos, alpha);
+        renderQuat.slerpQuaternions(prevPlaneQuat, planeQuat, alpha);
+        planeModel.updateTransform(renderPos, renderQuat);
+        game.updatePointer(renderPos);
+    }
+    updateGhost(dt);
 
     // ---- Checkpoint animation ----
     game.animateCheckpoints(dt);
@@ -263,8 +821,51 @@ function render(timestamp, frame) {
     // ---- Crash particles ----
     planeModel.updateCrashEffect(dt);
 
+    // ---- Alerts (they end with the run) ----
+    if (!game.isFlying || paused) {
+        showProximityAlert(null);
+        document.getElementById('stallWarning').style.display = 'none';
+    }
+    audio.update(dt, game.isFlying && !paused ? {
+        position: renderPos,
+        throttle: controls.throttle,
+        airspeed: physics.airspeed,
+        boosting: physics.isBoosting,
+        stalling: physics.isStalling,
+    } : null);
+
+    // ---- Chase camera (simulator only) ----
+    if (simMode) {
+        if (editor.active && editor.getFocus(editorFocus)) {
+            chaseCam.update(dt, editorFocus, editorHeading);
+        } else {
+            const following = planeModel.group.visible;
+            chaseCam.update(dt,
+                following ? planeModel.group.position   : null,
+                following ? planeModel.group.quaternion : null);
+        }
+    }
+
     // ---- Draw ----
-    renderer.render(scene, camera);
+    renderer.render(scene, simMode ? chaseCam.camera : camera);
+}
+
+/* ============================================================
+ *  Pause / resume (hidden XR session or background tab)
+ * ============================================================ */
+function setPaused(value) {
+    if (paused === value) return;
+    paused = value;
+
+    // Drop the time spent hidden instead of simulating it on resume
+    lastTimestamp = null;
+    accumulator   = 0;
+
+    if (game.isFlying) {
+        document.getElementById('info').textContent = paused
+            ? '⏸️ Paused'
+            : '✈️ Fly through the checkpoints!';
+    }
 }
 
 /* ============================================================
@@ -274,4 +875,57 @@ function onResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    if (chaseCam) chaseCam.onResize();
+}
+
+/**
+ * Simulator room size from ?room=WxDxH (metres), e.g. ?sim&room=6x5x2.5
+ */
+function parseRoomParam() {
+    const m = (new URLSearchParams(window.location.search).get('room') || '')
+        .match(/^([\d.]+)x([\d.]+)x([\d.]+)$/);
+    return m ? { width: +m[1], depth: +m[2], height: +m[3] } : {};
+}
+
+/**
+ * ?bench – times occluder collision queries on synthetic rooms
+ * (see collisionBench.js); the full table goes to the console.
+ */
+async function runBenchmark() {
+    const { runCollisionBenchmark } = await import('./collisionBench.js');
+    const results = runCollisionBenchmark();
+    console.table(results);
+
+    const last = results[results.length - 1];
+    document.getElementById('info').textContent =
+        `⏱️ ${last.planes} planes: ${last.indexedUs} µs/step indexed, ${last.naiveUs} µs naive`;
+}
+
+/**
+ * ?launchcheck – hand-launches every aircraft hands-off (see
+ * launchCheck.js); the full table goes to the console.
+ */
+async function runLaunchChecks() {
+    const { runLaunchCheck } = await import('./launchCheck.js');
+    const results = runLaunchCheck();
+    console.table(results);
+
+    const failed = results.filter((r) => !r.ok).map((r) => r.aircraft);
+    document.getElementById('info').textContent = failed.length === 0
+        ? `✅ Hands-off launch: all ${results.length} aircraft airborne`
+        : `❌ Hands-off launch failed: ${failed.join(', ')}`;
+}
+
+/* ============================================================
+ *  Mode detection – simulator when immersive AR is missing
+ *  (or forced with ?sim in the URL)
+ * ============================================================ */
+async function detectSimulatorMode() {
+    if (new URLSearchParams(window.location.search).has('sim')) return true;
+    if (!navigator.xr) return true;
+    try {
+        return !(await navigator.xr.isSessionSupported('immersive-ar'));
+    } catch {
+        return true;
+    }
 }
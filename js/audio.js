@@ -0,0 +1,330 @@
+// ============================================================
+// Audio – procedural, spatial sound for the plane and cockpit alerts
+//
+// Everything is synthesised with Web Audio – no sound files:
+//   at the plane (THREE.PositionalAudio, heard from the camera):
+//     engine   – saw + square sub through a low-pass; pitch follows
+//                throttle and airspeed, brighter with the throttle
+//     boost    – band-passed noise roar while boosting
+//     wind     – noise rising with airspeed²
+//     stall    – pulsing horn while stalled
+//     chime    – rising arpeggio for a checkpoint
+//   at the crash site:
+//     crash    – noise burst with a falling low-pass and a thump
+//   in the cockpit (not spatial):
+//     alarms   – repeating beeps, caution: lower, slower;
+//                warning: higher, faster (see proximity.js)
+//
+// Browsers only start audio after a user gesture, so the graph is
+// built on unlock() (called from the spawn buttons). Until then –
+// or without Web Audio at all – every call is a silent no-op.
+// ============================================================
+import * as THREE from 'three';
+
+const ALARMS = {
+    caution: { freq: 660, duration: 0.12, interval: 0.6 },
+    warning: { freq: 990, duration: 0.08, interval: 0.22 },
+};
+
+const ENGINE_IDLE_HZ = 55;    // saw pitch at idle, standing still
+const ENGINE_RANGE   = 90;    // Hz added at full throttle
+const ENGINE_PER_MS  = 3;     // Hz added per m/s of airspeed
+const WIND_FULL      = 20;    // m/s airspeed for full wind noise
+const STALL_PULSE    = 4;     // horn pulses per second
+const SMOOTHING      = 0.06;  // s – time constant for parameter changes
+
+export class AudioSystem {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera – the camera the scene is drawn from
+     */
+    constructor(scene, camera) {
+        this.scene  = scene;
+        this.camera = camera;
+
+        this.ctx      = null;
+        this.listener = null;
+        this.master   = null;    // cockpit alarms
+        this.volume   = 1;
+        this.muted    = false;
+
+        this._nodes      = null; // continuous plane sounds (see _buildPlaneSounds)
+        this._stallPhase = 0;
+
+        this._alarm      = null; // key of ALARMS
+        this._alarmTimer = 0;
+    }
+
+    /** Build the audio graph / resume it – call from a user gesture. */
+    unlock() {
+        if (this.ctx) {
+            if (this.ctx.state === 'suspended') this.ctx.resume();
+            return;
+        }
+        if (!(window.AudioContext || window.webkitAudioContext)) return;
+
+        this.listener = new THREE.AudioListener();
+        this.camera.add(this.listener);
+        this.ctx = this.listener.context;
+        if (this.ctx.state === 'suspended') this.ctx.resume();
+
+        this.master = this.ctx.createGain();
+        this.master.gain.value = 0.8;
+        this.master.connect(this.listener.getInput());
+
+        this._noise = this._noiseBuffer(2);
+        this._buildPlaneSounds();
+        this._buildCrashEmitter();
+        this._applyVolume();
+    }
+
+    get ready() {
+        return !!this.ctx && this.ctx.state === 'running';
+    }
+
+    /** Master volume 0 … 1 and mute (the saved sound settings). */
+    setVolume(volume, muted = this.muted) {
+        this.volume = THREE.MathUtils.clamp(volume, 0, 1);
+        this.muted  = muted;
+        this._applyVolume();
+    }
+
+    _applyVolume() {
+        if (this.listener) this.listener.setMasterVolume(this.muted ? 0 : this.volume);
+    }
+
+    /* --------------------------------------------------
+     *  Graph
+     * -------------------------------------------------- */
+
+    _buildPlaneSounds() {
+        const ctx = this.ctx;
+        const bus = ctx.createGain();
+
+        // Engine: saw + square one octave down, low-passed
+        const engine    = ctx.createOscillator();
+        const engineSub = ctx.createOscillator();
+        const engineLP  = ctx.createBiquadFilter();
+        const engineVol = ctx.createGain();
+        engine.type    = 'sawtooth';
+        engineSub.type = 'square';
+        engineLP.type  = 'lowpass';
+        engineLP.Q.value     = 2;
+        engineVol.gain.value = 0;
+        engine.connect(engineLP);
+        engineSub.connect(engineLP);
+        engineLP.connect(engineVol).connect(bus);
+
+        // Boost: band-passed noise roar
+        const boost    = this._noiseSource();
+        const boostBP  = ctx.createBiquadFilter();
+        const boostVol = ctx.createGain();
+        boostBP.type = 'bandpass';
+        boostBP.frequency.value = 900;
+        boostBP.Q.value         = 0.8;
+        boostVol.gain.value     = 0;
+        boost.connect(boostBP).connect(boostVol).connect(bus);
+
+        // Wind: airy high-passed noise
+        const wind    = this._noiseSource();
+        const windHP  = ctx.createBiquadFilter();
+        const windVol = ctx.createGain();
+        windHP.type = 'highpass';
+        windHP.frequency.value = 500;
+        windVol.gain.value     = 0;
+        wind.connect(windHP).connect(windVol).connect(bus);
+
+        // Stall horn
+        const horn    = ctx.createOscillator();
+        const hornVol = ctx.createGain();
+        horn.type            = 'square';
+        horn.frequency.value = 420;
+        hornVol.gain.value   = 0;
+        horn.connect(hornVol).connect(bus);
+
+        [engine, engineSub, boost, wind, horn].forEach((src) => src.start());
+
+        // Emitter that follows the plane
+        const emitter = new THREE.PositionalAudio(this.listener);
+        emitter.setRefDistance(1.5);
+        emitter.setRolloffFactor(1.2);
+        emitter.setNodeSource(bus);
+        this.scene.add(emitter);
+
+        this._nodes = {
+            bus, emitter,
+            engine, engineSub, engineLP, engineVol,
+            boostVol, windVol, windHP, hornVol,
+        };
+    }
+
+    _buildCrashEmitter() {
+        this._crashBus = this.ctx.createGain();
+        this._crashEmitter = new THREE.PositionalAudio(this.listener);
+        this._crashEmitter.setRefDistance(2);
+        this._crashEmitter.setNodeSource(this._crashBus);
+        this.scene.add(this._crashEmitter);
+    }
+
+    /** White noise, looped by the sources that play it. */
+    _noiseBuffer(seconds) {
+        const buffer = this.ctx.createBuffer(1, Math.floor(this.ctx.sampleRate * seconds), this.ctx.sampleRate);
+        const data   = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        return buffer;
+    }
+
+    _noiseSource(loop = true) {
+        const src  = this.ctx.createBufferSource();
+        src.buffer = this._noise;
+        src.loop   = loop;
+        return src;
+    }
+
+    _ramp(param, value) {
+        param.setTargetAtTime(value, this.ctx.currentTime, SMOOTHING);
+    }
+
+    /* --------------------------------------------------
+     *  Per frame
+     * -------------------------------------------------- */
+
+    /**
+     * Call every frame.
+     * @param {number} dt
+     * @param {Object|null} flight – null when nothing flies (fades out)
+     * @param {THREE.Vector3} flight.position – world
+     * @param {number} flight.throttle – 0 … 1
+     * @param {number} flight.airspeed – m/s
+     * @param {boolean} flight.boosting
+     * @param {boolean} flight.stalling
+     */
+    update(dt, flight = null) {
+        this._updateAlarm(dt);
+        if (!this._nodes) return;
+
+        // The XR camera pose skips the camera's children – sync the ears
+        this.listener.updateMatrixWorld(true);
+
+        const n = this._nodes;
+        if (!flight) {
+            [n.engineVol, n.boostVol, n.windVol, n.hornVol].forEach((g) => this._ramp(g.gain, 0));
+            return;
+        }
+
+        n.emitter.position.copy(flight.position);
+
+        // Engine – pitch from throttle and speed, a lift when boosting
+        const boostLift = flight.boosting ? 1.25 : 1;
+        const pitch = (ENGINE_IDLE_HZ + flight.throttle * ENGINE_RANGE +
+                       flight.airspeed * ENGINE_PER_MS) * boostLift;
+        this._ramp(n.engine.frequency,    pitch);
+        this._ramp(n.engineSub.frequency, pitch / 2);
+        this._ramp(n.engineLP.frequency,  400 + flight.throttle * 1800);
+        this._ramp(n.engineVol.gain,      0.12 + flight.throttle * 0.18);
+
+        this._ramp(n.boostVol.gain, flight.boosting ? 0.25 : 0);
+
+        // Wind – grows with airspeed², brighter when fast
+        const w = Math.min(1, flight.airspeed / WIND_FULL);
+        this._ramp(n.windVol.gain,     w * w * 0.35);
+        this._ramp(n.windHP.frequency, 400 + w * 1200);
+
+        // Stall horn – on / off pulses
+        this._stallPhase = flight.stalling ? (this._stallPhase + dt * STALL_PULSE) % 1 : 0;
+        this._ramp(n.hornVol.gain, flight.stalling && this._stallPhase < 0.5 ? 0.12 : 0);
+    }
+
+    /* --------------------------------------------------
+     *  One-shots
+     * -------------------------------------------------- */
+
+    /** Checkpoint chime – a quick rising arpeggio at the plane. */
+    chime() {
+        if (!this.ready) return;
+        [880, 1109, 1319].forEach((freq, i) =>
+            this._blip(this._nodes.bus, freq, this.ctx.currentTime + i * 0.07, 0.25, 'sine', 0.25));
+    }
+
+    /** Crash – noise burst with a closing low-pass plus a low thump. */
+    crash(position) {
+        if (!this.ready) return;
+        const ctx = this.ctx;
+        const t   = ctx.currentTime;
+        this._crashEmitter.position.copy(position);
+        this._crashEmitter.updateMatrixWorld();
+
+        const noise = this._noiseSource(false);
+        const lp    = ctx.createBiquadFilter();
+        const vol   = ctx.createGain();
+        lp.type = 'lowpass';
+        lp.frequency.setValueAtTime(4000, t);
+        lp.frequency.exponentialRampToValueAtTime(150, t + 0.9);
+        vol.gain.setValueAtTime(0.8, t);
+        vol.gain.exponentialRampToValueAtTime(0.001, t + 1.0);
+        noise.connect(lp).connect(vol).connect(this._crashBus);
+        noise.start(t);
+        noise.stop(t + 1.0);
+
+        const thump    = ctx.createOscillator();
+        const thumpVol = ctx.createGain();
+        thump.frequency.setValueAtTime(90, t);
+        thump.frequency.exponentialRampToValueAtTime(35, t + 0.4);
+        thumpVol.gain.setValueAtTime(0.7, t);
+        thumpVol.gain.exponentialRampToValueAtTime(0.001, t + 0.5);
+        thump.connect(thumpVol).connect(this._crashBus);
+        thump.start(t);
+        thump.stop(t + 0.5);
+    }
+
+    /**
+     * One short cockpit tone with a click-free envelope.
+     * @param {number} freq – Hz
+     * @param {number} duration – s
+     * @param {Object} [opts]
+     * @param {OscillatorType} [opts.type]
+     * @param {number} [opts.gain]
+     */
+    tone(freq, duration, { type = 'square', gain = 0.15 } = {}) {
+        if (!this.ready) return;
+        this._blip(this.master, freq, this.ctx.currentTime, duration, type, gain);
+    }
+
+    _blip(destination, freq, t, duration, type, gain) {
+        const osc = this.ctx.createOscillator();
+        const env = this.ctx.createGain();
+
+        osc.type            = type;
+        osc.frequency.value = freq;
+        env.gain.setValueAtTime(0, t);
+        env.gain.linearRampToValueAtTime(gain, t + 0.01);
+        env.gain.setValueAtTime(gain, t + duration - 0.02);
+        env.gain.linearRampToValueAtTime(0, t + duration);
+
+        osc.connect(env).connect(destination);
+        osc.start(t);
+        osc.stop(t + duration + 0.01);
+    }
+
+    /* --------------------------------------------------
+     *  Cockpit alarms
+     * -------------------------------------------------- */
+
+    /** 'caution' | 'warning' | null – repeats until changed. */
+    setAlarm(level) {
+        const next = ALARMS[level] ? level : null;
+        if (next === this._alarm) return;
+        this._alarm      = next;
+        this._alarmTimer = 0;   // sound the new level right away
+    }
+
+    _updateAlarm(dt) {
+        if (!this._alarm) return;
+        this._alarmTimer -= dt;
+        if (this._alarmTimer > 0) return;
+
+        const alarm = ALARMS[this._alarm];
+        this.tone(alarm.freq, alarm.duration);
+        this._alarmTimer = alarm.interval;
+    }
+}
@@ -0,0 +1,172 @@
+// ============================================================
+// Collision Benchmark – occluder query cost on synthetic rooms
+//
+// Builds rooms of random plane occluders (floor, walls, tables,
+// shelves), then times the same short sweep rays – the length of a
+// fast physics step – two ways:
+//   • naive   – a fresh THREE.Raycaster against every occluder mesh
+//   • indexed – OccluderIndex (per-mesh BVHs, see spatialIndex.js)
+// and checks both report the same nearest hit.
+//
+// Runs in the browser (open the game with ?bench, results go to the
+// console) or from Node with three resolvable.
+// ============================================================
+import * as THREE from 'three';
+import { OccluderIndex } from './spatialIndex.js';
+import { mulberry32 } from './courseGenerator.js';
+
+const ROOM_SIZE     = 10;    // m – square room
+const ROOM_HEIGHT   = 3;
+const RAYS_PER_STEP = 26;    // swept points + box edges per physics step
+const RAY_LENGTH    = 0.4;   // m – 22 m/s over one 1/60 s step, plus skin
+
+/**
+ * @param {Object} [opts]
+ * @param {number[]} [opts.planeCounts] – occluders per synthetic room
+ * @param {number} [opts.steps]         – physics steps timed per room
+ * @param {number} [opts.seed]
+ * @returns {{ planes: number, triangles: number, buildMs: number,
+ *             naiveUs: number, indexedUs: number, speedup: number,
+ *             mismatches: number }[]}  µs per physics step
+ */
+export function runCollisionBenchmark({ planeCounts = [8, 32, 128], steps = 200, seed = 1 } = {}) {
+    return planeCounts.map((count) => {
+        const rng    = mulberry32(seed + count);
+        const meshes = buildRoom(count, rng);
+        const rays   = buildRays(steps * RAYS_PER_STEP, rng);
+
+        let t = performance.now();
+        const index = new OccluderIndex();
+        meshes.forEach((m) => index.set(m));
+        const buildMs = performance.now() - t;
+
+        // Naive: what checkCollision did before the index
+        const naive = [];
+        t = performance.now();
+        for (let s = 0; s < steps; s++) {
+            const raycaster = new THREE.Raycaster();
+            raycaster.far   = RAY_LENGTH;
+            for (let r = 0; r < RAYS_PER_STEP; r++) {
+                raycaster.ray.copy(rays[s * RAYS_PER_STEP + r]);
+                const hits = raycaster.intersectObjects(meshes, false);
+                naive.push(hits.length > 0 ? hits[0].distance : null);
+            }
+        }
+        const naiveMs = performance.now() - t;
+
+        // Indexed: one refresh per step, as OcclusionSystem does
+        const indexed = [];
+        t = performance.now();
+        for (let s = 0; s < steps; s++) {
+            index.refresh();
+            for (let r = 0; r < RAYS_PER_STEP; r++) {
+                const hits = index.intersect(rays[s * RAYS_PER_STEP + r], RAY_LENGTH);
+                indexed.push(hits.length > 0 ? hits[0].distance : null);
+            }
+        }
+        const indexedMs = performance.now() - t;
+
+        const mismatches = naive.filter((d, i) =>
+            (d === null) !== (indexed[i] === null) ||
+            (d !== null && Math.abs(d - indexed[i]) > 1e-4)).length;
+
+        meshes.forEach((m) => m.geometry.dispose());
+        return {
+            planes:     count,
+            triangles:  meshes.reduce((n, m) => n + triangleCount(m.geometry), 0),
+            buildMs:    round(buildMs),
+            naiveUs:    round((naiveMs * 1000) / steps),
+            indexedUs:  round((indexedMs * 1000) / steps),
+            speedup:    round(naiveMs / Math.max(indexedMs, 1e-6)),
+            mismatches,
+        };
+    });
+}
+
+/* ---------- synthetic rooms ---------- */
+
+function buildRoom(count, rng) {
+    const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+    const half     = ROOM_SIZE / 2;
+    const meshes   = [];
+
+    const add = (polygon, matrix) => {
+        const mesh = new THREE.Mesh(polygonGeometry(polygon), material);
+        mesh.matrixAutoUpdate = false;
+        mesh.matrix.copy(matrix);
+        meshes.push(mesh);
+    };
+
+    // Floor + four walls, like a scanned room
+    add(rectangle(half, half), new THREE.Matrix4());
+    for (let i = 0; i < 4 && meshes.length < count; i++) {
+        const m = new THREE.Matrix4().makeRotationY((i * Math.PI) / 2)
+            .multiply(new THREE.Matrix4().makeTranslation(0, ROOM_HEIGHT / 2, -half))
+            .multiply(new THREE.Matrix4().makeRotationX(Math.PI / 2));
+        add(rectangle(half, ROOM_HEIGHT / 2), m);
+    }
+
+    // Tables (horizontal) and shelves / cupboard sides (vertical)
+    while (meshes.length < count) {
+        const x = (rng() - 0.5) * (ROOM_SIZE - 2);
+        const z = (rng() - 0.5) * (ROOM_SIZE - 2);
+        const m = new THREE.Matrix4().makeRotationY(rng() * Math.PI * 2);
+        if (rng() < 0.5) {
+            m.setPosition(x, 0.4 + rng() * 0.8, z);
+        } else {
+            m.setPosition(x, 0.5 + rng() * 1.5, z)
+                .multiply(new THREE.Matrix4().makeRotationX(Math.PI / 2));
+        }
+        add(roughPolygon(0.3 + rng() * 0.9, 6 + Math.floor(rng() * 10), rng), m);
+    }
+
+    meshes.forEach((m) => m.updateMatrixWorld(true));
+    return meshes;
+}
+
+function buildRays(count, rng) {
+    const rays = [];
+    for (let i = 0; i < count; i++) {
+        const origin = new THREE.Vector3(
+            (rng() - 0.5) * ROOM_SIZE,
+            rng() * ROOM_HEIGHT,
+            (rng() - 0.5) * ROOM_SIZE
+        );
+        const dir = new THREE.Vector3(rng() - 0.5, rng() - 0.5, rng() - 0.5).normalize();
+        rays.push(new THREE.Ray(origin, dir));
+    }
+    return rays;
+}
+
+/** Plane-local XZ polygon → geometry, as OcclusionSystem builds it. */
+function polygonGeometry(polygon) {
+    const shape = new THREE.Shape();
+    shape.moveTo(polygon[0].x, polygon[0].z);
+    for (let i = 1; i < polygon.length; i++) shape.lineTo(polygon[i].x, polygon[i].z);
+    shape.closePath();
+    return new THREE.ShapeGeometry(shape).rotateX(-Math.PI / 2);
+}
+
+function rectangle(hx, hz) {
+    return [{ x: -hx, z: -hz }, { x: hx, z: -hz }, { x: hx, z: hz }, { x: -hx, z: hz }];
+}
+
+/** Star-shaped outline with a jittered radius – like a noisy scan. */
+function roughPolygon(radius, sides, rng) {
+    const polygon = [];
+    for (let i = 0; i < sides; i++) {
+        const a = (i / sides) * Math.PI * 2;
+        const r = radius * (0.8 + rng() * 0.4);
+        polygon.push({ x: Math.cos(a) * r, z: Math.sin(a) * r });
+    }
+    return polygon;
+}
+
+function triangleCount(geometry) {
+    const index = geometry.getIndex();
+    return (index ? index.count : geometry.getAttribute('position').count) / 3;
+}
+
+function round(v) {
+    return Math.round(v * 100) / 100;
+}
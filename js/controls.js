@@ -1,12 +1,45 @@
 // ============================================================
-// Touch Joystick & Button Controls
+// Flight Controls – touch joysticks, keyboard & gamepad
 // Left stick  → throttle (Y) + yaw (X)
 // Right stick → pitch (Y) + roll (X)
+//
+// Keyboard : W/S throttle lever, A/D yaw, arrows pitch/roll,
+//            Shift boost, R reset, M mute
+// Gamepad  : standard mapping – sticks as above,
+//            A / RB boost, Start reset
+//
+// Every source feeds the same throttle / pitch / roll / yaw /
+// isBoosting fields; call update(dt) once per frame. Gamepad sticks
+// get a dead zone + expo curve; the touch sticks stay linear unless
+// touchShaping is on.
 // ============================================================
 
+export const REST_THROTTLE = 0.3;
+const MIN_THROTTLE  = 0.1;
+
+const DEFAULT_OPTIONS = {
+    deadZone:         0.12,   // stick travel ignored around centre (0–1)
+    expo:             0.35,   // 0 = linear, 1 = fully cubic response
+    touchShaping:     false,  // dead zone + expo on the touch sticks too
+    invertPitch:      false,
+    invertRoll:       false,
+    invertYaw:        false,
+    keyRampRate:      5,      // keyboard axis ramp (units / s)
+    keyThrottleRate:  0.8,    // W/S throttle lever speed (units / s)
+};
+
+// Standard-mapping gamepad layout
+const PAD_AXIS   = { leftX: 0, leftY: 1, rightX: 2, rightY: 3 };
+const PAD_BUTTON = { a: 0, rb: 5, start: 9 };
+
 export class Controls {
-    constructor() {
-        this.throttle   = 0.3;
+    /**
+     * @param {Object} [options] – overrides for DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.throttle   = REST_THROTTLE;
         this.pitch      = 0;
         this.roll       = 0;
         this.yaw        = 0;
@@ -15,14 +48,40 @@ export class Controls {
         this._leftTouchId  = null;
         this._rightTouchId = null;
         this._onReset      = null;
+        this._onMute       = null;
+        this._onGamepad    = null;
+
+        // Per-source raw input (normalised −1…1, stick up / right = +)
+        this._touchLeft  = null;   // { x, y } while the stick is held
+        this._touchRight = null;
+        this._touchBoost = false;
+
+        this._keys        = new Set();
+        this._keyAxes     = { yaw: 0, pitch: 0, roll: 0 };
+        this._keyThrottle = null;  // lever value once W/S was used
+
+        this._gamepadIndex  = null;
+        this._padStartHeld  = false;
+    }
+
+    /**
+     * Change stick shaping / inversion at runtime – unknown keys are ignored.
+     * @param {Object} patch – any of DEFAULT_OPTIONS
+     */
+    setOptions(patch = {}) {
+        for (const key of Object.keys(DEFAULT_OPTIONS)) {
+            if (patch[key] !== undefined) this.options[key] = patch[key];
+        }
     }
 
     /**
      * Wire up DOM controls.
-     * @param {Object} callbacks  – { onReset }
+     * @param {Object} callbacks  – { onReset, onMute, onGamepadChange }
      */
     setup(callbacks = {}) {
-        this._onReset = callbacks.onReset || null;
+        this._onReset   = callbacks.onReset || null;
+        this._onMute    = callbacks.onMute || null;
+        this._onGamepad = callbacks.onGamepadChange || null;
 
         const leftJoy    = document.getElementById('leftJoy');
         const rightJoy   = document.getElementById('rightJoy');
@@ -61,14 +120,12 @@ export class Controls {
             for (const touch of e.changedTouches) {
                 if (touch.identifier === self._leftTouchId) {
                     self._leftTouchId = null;
+                    self._touchLeft   = null;
                     leftStick.style.transform = 'translate(-50%, -50%)';
-                    self.throttle = 0.3;
-                    self.yaw = 0;
                 } else if (touch.identifier === self._rightTouchId) {
                     self._rightTouchId = null;
+                    self._touchRight   = null;
                     rightStick.style.transform = 'translate(-50%, -50%)';
-                    self.pitch = 0;
-                    self.roll = 0;
                 }
             }
         }
@@ -85,23 +142,193 @@ export class Controls {
         const boostBtn = document.getElementById('boostBtn');
         boostBtn.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            this.isBoosting = true;
-            boostBtn.classList.add('active');
+            this._touchBoost = true;
         }, opts);
         boostBtn.addEventListener('touchend', (e) => {
             e.preventDefault();
-            this.isBoosting = false;
-            boostBtn.classList.remove('active');
+            this._touchBoost = false;
         }, opts);
 
         /* ---------- reset ---------- */
         document.getElementById('resetBtn').addEventListener('click', () => {
             if (this._onReset) this._onReset();
         });
+
+        /* ---------- keyboard ---------- */
+        window.addEventListener('keydown', (e) => {
+            if (this._isTypingTarget(e.target)) return;
+            if (e.code.startsWith('Arrow') || e.code === 'Space') e.preventDefault();
+            if (e.code === 'KeyR' && !e.repeat && this._onReset) this._onReset();
+            if (e.code === 'KeyM' && !e.repeat && this._onMute)  this._onMute();
+            this._keys.add(e.code);
+        });
+        window.addEventListener('keyup', (e) => this._keys.delete(e.code));
+        window.addEventListener('blur',  () => this._keys.clear());
+
+        /* ---------- gamepad ---------- */
+        window.addEventListener('gamepadconnected', (e) => {
+            if (this._gamepadIndex === null) {
+                this._gamepadIndex = e.gamepad.index;
+                if (this._onGamepad) this._onGamepad(e.gamepad);
+            }
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index === this._gamepadIndex) {
+                this._gamepadIndex = null;
+                if (this._onGamepad) this._onGamepad(null);
+            }
+        });
+    }
+
+    /* ---------- per-frame ---------- */
+
+    /**
+     * Merge touch, gamepad and keyboard into the flight fields.
+     * Per stick, an active touch wins over the gamepad, which wins
+     * over the keyboard.
+     * @param {number} dt – frame time in seconds
+     */
+    update(dt) {
+        const keys = this._pollKeyboard(dt);
+        const pad  = this._pollGamepad();
+
+        // --- Left stick: throttle + yaw ---
+        if (this._touchLeft) {
+            this._applyLeft(this._touchLeft.x, this._touchLeft.y, this.options.touchShaping);
+        } else if (pad && pad.leftActive) {
+            // Pushed only sideways: yaw, the throttle stays where it was set
+            this._applyLeft(pad.leftX, pad.throttleActive ? pad.leftY : null, true);
+        } else {
+            this.throttle = this._keyThrottle ?? REST_THROTTLE;
+            this.yaw      = this._axis('yaw', -keys.yaw * 1.5);
+        }
+
+        // --- Right stick: pitch + roll ---
+        if (this._touchRight) {
+            this._applyRight(this._touchRight.x, this._touchRight.y, this.options.touchShaping);
+        } else if (pad && pad.rightActive) {
+            this._applyRight(pad.rightX, pad.rightY, true);
+        } else {
+            this.pitch = this._axis('pitch', keys.pitch * 1.2);
+            this.roll  = this._axis('roll',  keys.roll  * 1.2);
+        }
+
+        // --- Boost (any source) ---
+        this.isBoosting = this._touchBoost || keys.boost || !!(pad && pad.boost);
+        const boostBtn  = document.getElementById('boostBtn');
+        if (boostBtn) boostBtn.classList.toggle('active', this.isBoosting);
     }
 
     /* ---------- internal ---------- */
 
+    /** `y` null = no throttle input (keyboard lever / rest). */
+    _applyLeft(x, y, shaped) {
+        this.throttle = y === null
+            ? this._keyThrottle ?? REST_THROTTLE
+            : Math.max(MIN_THROTTLE, Math.min(1, (y + 1) / 2));
+        this.yaw = this._axis('yaw', -(shaped ? this._shape(x) : x) * 1.5);
+    }
+
+    _applyRight(x, y, shaped) {
+        this.pitch = this._axis('pitch', (shaped ? this._shape(y) : y) * 1.2);
+        this.roll  = this._axis('roll',  (shaped ? this._shape(x) : x) * 1.2);
+    }
+
+    /** Apply the per-axis inversion setting. */
+    _axis(name, value) {
+        const invert = {
+            pitch: this.options.invertPitch,
+            roll:  this.options.invertRoll,
+            yaw:   this.options.invertYaw,
+        }[name];
+        return invert ? -value : value;
+    }
+
+    /** Dead zone + expo curve on a −1…1 stick axis. */
+    _shape(v) {
+        const { deadZone, expo } = this.options;
+        const a = Math.abs(v);
+        if (a <= deadZone) return 0;
+        const n = Math.min(1, (a - deadZone) / (1 - deadZone));
+        return Math.sign(v) * ((1 - expo) * n + expo * n * n * n);
+    }
+
+    _pollKeyboard(dt) {
+        const k    = this._keys;
+        const down = (...codes) => codes.some(c => k.has(c));
+
+        // Throttle lever: W/S move it and it stays where it was left
+        const lever = (down('KeyW') ? 1 : 0) - (down('KeyS') ? 1 : 0);
+        if (lever !== 0) {
+            const current = this._keyThrottle ?? this.throttle;
+            this._keyThrottle = Math.max(MIN_THROTTLE, Math.min(1,
+                current + lever * this.options.keyThrottleRate * dt));
+        }
+
+        // Digital axes ramp toward their target for a smoother feel
+        const targets = {
+            yaw:   (down('KeyD') ? 1 : 0) - (down('KeyA') ? 1 : 0),
+            pitch: (down('ArrowUp') ? 1 : 0) - (down('ArrowDown') ? 1 : 0),
+            roll:  (down('ArrowRight') ? 1 : 0) - (down('ArrowLeft') ? 1 : 0),
+        };
+        const step = this.options.keyRampRate * dt;
+        for (const axis in targets) {
+            const cur  = this._keyAxes[axis];
+            const diff = targets[axis] - cur;
+            this._keyAxes[axis] = Math.abs(diff) <= step
+                ? targets[axis]
+                : cur + Math.sign(diff) * step;
+        }
+
+        return {
+            ...this._keyAxes,
+            boost: down('ShiftLeft', 'ShiftRight'),
+        };
+    }
+
+    _pollGamepad() {
+        if (!navigator.getGamepads) return null;
+        const pads = navigator.getGamepads();
+
+        // Some browsers never fire gamepadconnected for pads that were
+        // plugged in before the page loaded – pick the first standard one
+        if (this._gamepadIndex === null) {
+            const found = Array.from(pads).find(p => p && p.mapping === 'standard');
+            if (!found) return null;
+            this._gamepadIndex = found.index;
+            if (this._onGamepad) this._onGamepad(found);
+        }
+
+        const pad = pads[this._gamepadIndex];
+        if (!pad || !pad.connected || pad.mapping !== 'standard') return null;
+
+        const axis    = (i) => pad.axes[i] || 0;
+        const pressed = (i) => !!(pad.buttons[i] && pad.buttons[i].pressed);
+        const dz      = this.options.deadZone;
+
+        const leftX  =  axis(PAD_AXIS.leftX);
+        const leftY  = -axis(PAD_AXIS.leftY);    // stick up = +
+        const rightX =  axis(PAD_AXIS.rightX);
+        const rightY = -axis(PAD_AXIS.rightY);
+
+        // Start = reset (edge-triggered)
+        const start = pressed(PAD_BUTTON.start);
+        if (start && !this._padStartHeld && this._onReset) this._onReset();
+        this._padStartHeld = start;
+
+        return {
+            leftX, leftY, rightX, rightY,
+            leftActive:  Math.hypot(leftX,  leftY)  > dz,
+            throttleActive: Math.abs(leftY) > dz,
+            rightActive: Math.hypot(rightX, rightY) > dz,
+            boost: pressed(PAD_BUTTON.a) || pressed(PAD_BUTTON.rb),
+        };
+    }
+
+    _isTypingTarget(el) {
+        return !!(el && el.closest && el.closest('input, textarea, select'));
+    }
+
     _updateJoystick(zone, stick, touch, isLeft) {
         const rect    = zone.getBoundingClientRect();
         const centerX = rect.width  / 2;
@@ -120,24 +347,27 @@ export class Controls {
         stick.style.transform =
             `translate(calc(-50% + ${cx}px), calc(-50% + ${cy}px))`;
 
-        const nx =  cx / max;
-        const ny = -cy / max;
-
-        if (isLeft) {
-            this.throttle = Math.max(0.1, Math.min(1, (ny + 1) / 2));
-            this.yaw      = -nx * 1.5;
-        } else {
-            this.pitch = ny * 1.2;
-            this.roll  = nx * 1.2;
-        }
+        const stickPos = { x: cx / max, y: -cy / max };
+        if (isLeft) this._touchLeft  = stickPos;
+        else        this._touchRight = stickPos;
     }
 
     resetSticks() {
-        this.throttle   = 0.3;
+        this.throttle   = REST_THROTTLE;
         this.pitch      = 0;
         this.roll       = 0;
         this.yaw        = 0;
         this.isBoosting = false;
+
+        this._leftTouchId  = null;
+        this._rightTouchId = null;
+        this._touchLeft    = null;
+        this._touchRight   = null;
+        this._touchBoost   = false;
+        this._keyThrottle  = null;
+        this._keyAxes      = { yaw: 0, pitch: 0, roll: 0 };
+        this._keys.clear();
+
         document.getElementById('leftStick').style.transform  = 'translate(-50%, -50%)';
         document.getElementById('rightStick').style.transform = 'translate(-50%, -50%)';
         document.getElementById('boostBtn').classList.remove('active');
@@ -0,0 +1,231 @@
+// ============================================================
+// Course Fitting – squeeze a level's course into the real room
+//
+// Takes the surfaces tracked by OcclusionSystem (XRPlane-style
+// polygons in local XZ + a world matrix) and searches for a
+// scale / rotation / shift / height squash of the course so
+// every ring clears walls, floor, ceiling and furniture, and
+// no leg of the course cuts through a surface.
+//
+// Ring sizes and yaw (`size`, `yaw`) travel with the positions;
+// the returned `rotation` must be subtracted from each yaw.
+// Other course-local points (wind zones) follow via fitPoint().
+// ============================================================
+import * as THREE from 'three';
+
+// Search space, tried from "untouched" to "heavily shrunk"
+const RADIUS_SCALES = [1, 0.9, 0.8, 0.7, 0.6, 0.5];
+const HEIGHT_SCALES = [1, 0.75, 0.5, 0.25];   // height variation
+const BASE_SCALES   = [1, 0.8, 0.6];          // mean ring height
+const ROTATIONS     = 8;                      // yaw steps over 360°
+const SHIFTS        = [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]];
+const SHIFT_STEP    = 0.75;                   // m
+
+/**
+ * Fit course-local ring positions to the detected room.
+ *
+ * @param {Object[]} positions – [{ x, y, z, ... }] course-local rings
+ * @param {number} ringSize    – ring radius (m)
+ * @param {Object[]} surfaces  – OcclusionSystem.getSurfaces()
+ * @param {THREE.Matrix4} courseMatrix – course-local → world
+ * @param {Object} [opts]      – { margin: extra clearance (m),
+ *                               start: course-local spawn {x,y,z},
+ *                               keepIfFits: try the untouched course
+ *                               first (hand-placed rings) }
+ * @returns {{ positions: Object[], radiusScale: number, heightScale: number,
+ *             baseScale: number, rotation: number, offset: {x:number, z:number},
+ *             meanY: number, fits: boolean, clearance: number }}
+ */
+export function fitCourseToRoom(positions, ringSize, surfaces, courseMatrix, opts = {}) {
+    const margin = opts.margin ?? 0.3;
+    const start  = opts.start  ?? { x: 0, y: 1, z: 0 };
+
+    const identity = {
+        positions, radiusScale: 1, heightScale: 1, baseScale: 1,
+        rotation: 0, offset: { x: 0, z: 0 }, meanY: 0, fits: true, clearance: Infinity,
+    };
+    if (!surfaces || surfaces.length === 0 || positions.length === 0) return identity;
+
+    // course-local point → surface-local point, computed once per surface
+    const local = surfaces.map((s) => ({
+        polygon:   s.polygon,
+        toSurface: s.matrix.clone().invert().multiply(courseMatrix),
+    }));
+
+    if (opts.keepIfFits) {
+        const clearance = evaluate(positions, ringSize, local, start, -Infinity);
+        if (clearance >= margin) return { ...identity, clearance };
+    }
+
+    const meanY = positions.reduce((a, p) => a + p.y, 0) / positions.length;
+    let best = null;
+
+    for (const radiusScale of RADIUS_SCALES) {
+        for (const heightScale of HEIGHT_SCALES) {
+            for (const baseScale of BASE_SCALES) {
+                // Best rotation / shift for this scale combo
+                best = null;
+                for (let r = 0; r < ROTATIONS; r++) {
+                    const rotation = (r / ROTATIONS) * Math.PI * 2;
+                    for (const [sx, sz] of SHIFTS) {
+                        const offset = { x: sx * SHIFT_STEP, z: sz * SHIFT_STEP };
+                        const candidate = transformCourse(positions, meanY, {
+                            radiusScale, heightScale, baseScale, rotation, offset,
+                        });
+                        const clearance = evaluate(
+                            candidate, ringSize, local, start,
+                            best ? best.clearance : -Infinity
+                        );
+
+                        if (!best || clearance > best.clearance) {
+                            best = {
+                                positions: candidate, radiusScale, heightScale,
+                                baseScale, rotation, offset, meanY,
+                                fits: clearance >= margin, clearance,
+                            };
+                        }
+                    }
+                }
+                // Stop at the first (least modified) combo that fits
+                if (best.fits) return best;
+            }
+        }
+    }
+
+    // Nothing fits – hand back the most shrunk course as a best effort
+    return best;
+}
+
+/**
+ * Move any course-local point the way the fit moved the rings.
+ * @param {{x:number, y:number, z:number}} point
+ * @param {Object} fit – result of fitCourseToRoom
+ * @returns {{x:number, y:number, z:number}}
+ */
+export function fitPoint(point, fit) {
+    const { x, y, z } = transformCourse([point], fit.meanY, fit)[0];
+    return { x, y, z };
+}
+
+/**
+ * World height of the highest upward-facing surface (floor, table…)
+ * directly below `point`, or null when there is none.
+ * @param {THREE.Vector3} point – world position
+ * @param {Object[]} surfaces   – OcclusionSystem.getSurfaces()
+ * @returns {number|null}
+ */
+export function surfaceHeightBelow(point, surfaces) {
+    let best = null;
+    const up = new THREE.Vector3();
+    for (const s of surfaces) {
+        if (s.orientation !== 'horizontal') continue;
+        up.set(0, 1, 0).transformDirection(s.matrix);
+        if (up.y < 0.9) continue;   // ceilings face down
+
+        const local = point.clone().applyMatrix4(s.matrix.clone().invert());
+        if (local.y < -0.05 || !pointInPolygon(local.x, local.z, s.polygon)) continue;
+
+        const y = s.matrix.elements[13];
+        if (best === null || y > best) best = y;
+    }
+    return best;
+}
+
+/* ---------- internal ---------- */
+
+function transformCourse(positions, meanY, t) {
+    const cos = Math.cos(t.rotation);
+    const sin = Math.sin(t.rotation);
+    return positions.map((p) => {
+        const x = p.x * t.radiusScale;
+        const z = p.z * t.radiusScale;
+        return {
+            ...p,
+            x: x * cos - z * sin + t.offset.x,
+            y: meanY * t.baseScale + (p.y - meanY) * t.heightScale,
+            z: x * sin + z * cos + t.offset.z,
+        };
+    });
+}
+
+/**
+ * Score a candidate: the smallest ring-edge-to-surface gap (m), minus
+ * a large penalty per leg of the flight path (spawn → rings → spawn)
+ * that passes through a surface. Bails out early once the score can
+ * no longer beat `toBeat`.
+ */
+function evaluate(positions, ringSize, surfaces, start, toBeat) {
+    const pt = new THREE.Vector3();
+    let minGap = Infinity;
+
+    for (const p of positions) {
+        for (const s of surfaces) {
+            pt.set(p.x, p.y, p.z).applyMatrix4(s.toSurface);
+            const gap = surfaceDistance(pt, s.polygon) - ringSize;
+            if (gap < minGap) {
+                minGap = gap;
+                if (minGap <= toBeat) return minGap;
+            }
+        }
+    }
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const path = [start, ...positions, start];
+    let crossings = 0;
+    for (let i = 0; i < path.length - 1; i++) {
+        for (const s of surfaces) {
+            a.set(path[i].x, path[i].y, path[i].z).applyMatrix4(s.toSurface);
+            b.set(path[i + 1].x, path[i + 1].y, path[i + 1].z).applyMatrix4(s.toSurface);
+            if (segmentCrossesPolygon(a, b, s.polygon)) crossings++;
+        }
+    }
+
+    return minGap - crossings * 100;
+}
+
+/** Distance from a surface-local point to the polygon (local XZ, y = 0). */
+export function surfaceDistance(p, polygon) {
+    const planar = pointInPolygon(p.x, p.z, polygon)
+        ? 0
+        : distanceToEdges(p.x, p.z, polygon);
+    return Math.hypot(p.y, planar);
+}
+
+function segmentCrossesPolygon(a, b, polygon) {
+    if ((a.y > 0) === (b.y > 0)) return false;
+    const t = a.y / (a.y - b.y);
+    return pointInPolygon(
+        a.x + (b.x - a.x) * t,
+        a.z + (b.z - a.z) * t,
+        polygon
+    );
+}
+
+function pointInPolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const pi = polygon[i];
+        const pj = polygon[j];
+        if ((pi.z > z) !== (pj.z > z) &&
+            x < ((pj.x - pi.x) * (z - pi.z)) / (pj.z - pi.z) + pi.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function distanceToEdges(x, z, polygon) {
+    let min = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const ax = polygon[j].x, az = polygon[j].z;
+        const ex = polygon[i].x - ax, ez = polygon[i].z - az;
+        const len2 = ex * ex + ez * ez;
+        const t = len2 > 0
+            ? Math.max(0, Math.min(1, ((x - ax) * ex + (z - az) * ez) / len2))
+            : 0;
+        const d = Math.hypot(x - (ax + ex * t), z - (az + ez * t));
+        if (d < min) min = d;
+    }
+    return min;
+}
@@ -0,0 +1,257 @@
+// ============================================================
+// Course Generator – seeded procedural checkpoint courses
+//
+// Shapes (course-local, the plane starts at the origin facing -Z):
+//   • circle   – the classic jittered loop of the built-in levels
+//   • figure8  – lemniscate crossing in front of the spawn
+//   • slalom   – weave out along -Z, turn and weave back home
+//   • spiral   – climbing helix
+//   • spline   – smooth random loop through scattered control points
+//
+// Every course is made flyable before it is returned:
+//   • turn radius – the circle through three consecutive rings must
+//     be wide enough for the plane's turn rate at course speed
+//   • gradient    – climbs / dives between rings stay under a limit
+//   • spacing     – rings never crowd each other
+// – except the unseeded circle: the built-in levels' layout is kept
+// ring for ring, so best times set on it stay comparable.
+// Same seed + options → same course on every device.
+// ============================================================
+import * as THREE from 'three';
+
+export const COURSE_SHAPES = ['circle', 'figure8', 'slalom', 'spiral', 'spline'];
+
+// Flight envelope the checks are based on (see physics.js)
+const TURN_RATE    = 2.8;   // rad/s at full stick
+const COURSE_SPEED = 6;     // m/s – cruise just above lift = weight
+const START_HEIGHT = 1;     // m – typical spawn height
+
+/* ======================================================
+ *  Seeds
+ * ====================================================== */
+
+/** Small, fast, seedable PRNG → () => [0, 1). */
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** 32-bit seed from a number or any string (FNV-1a). */
+export function toSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+    let h = 0x811C9DC5;
+    for (const ch of String(value)) {
+        h ^= ch.codePointAt(0);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/** "2024-05-17" (UTC) – the same daily course wherever you are. */
+export function dailySeedKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/* ======================================================
+ *  Generation
+ * ====================================================== */
+
+/**
+ * @param {Object} opts
+ * @param {string} [opts.shape='circle']
+ * @param {number|string} [opts.seed] – omit for the classic (unjittered) circle
+ * @param {number} opts.count
+ * @param {number} opts.radius          – overall course size (m)
+ * @param {number} opts.baseHeight      – mean ring height (m)
+ * @param {number} opts.heightVariation – ± height spread (m)
+ * @param {number} [opts.ringSize=0.8]
+ * @param {number} [opts.difficulty=0.5] – 0 (gentle) … 1 (at the envelope)
+ * @returns {{ positions: Object[], scale: number, minTurnRadius: number, maxGradient: number }}
+ */
+export function generateCourse(opts) {
+    const shape      = COURSE_SHAPES.includes(opts.shape) ? opts.shape : 'circle';
+    const difficulty = THREE.MathUtils.clamp(opts.difficulty ?? 0.5, 0, 1);
+    const ringSize   = opts.ringSize ?? 0.8;
+    const rng        = opts.seed === undefined ? null : mulberry32(toSeed(opts.seed));
+    const params     = { ...opts, ringSize, difficulty };
+
+    const positions = SHAPES[shape](params, rng || (() => 0.5));
+
+    // Harder courses fly closer to the limits
+    const limits = {
+        minTurnRadius: (COURSE_SPEED / TURN_RATE) * (1.6 - 0.5 * difficulty),
+        maxGradient:   Math.tan(THREE.MathUtils.degToRad(20 + 15 * difficulty)),
+        minSpacing:    ringSize * 2 + 1,
+        minHeight:     ringSize + 0.3,
+    };
+    const legacy = shape === 'circle' && !rng;
+    const scale  = legacy ? 1 : makeFlyable(positions, limits);
+
+    return {
+        positions,
+        scale,
+        minTurnRadius: limits.minTurnRadius,
+        maxGradient:   limits.maxGradient,
+    };
+}
+
+const SHAPES = {
+    circle(p, rng) {
+        const { count, radius, baseHeight, heightVariation } = p;
+        // Unseeded → exactly the original built-in layout (not made flyable)
+        const jPhase = (rng() - 0.5) * Math.PI * 2;
+        const hPhase = (rng() - 0.5) * Math.PI * 2;
+        const out = [];
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const r     = radius + Math.sin(i * 1.3 + jPhase) * (radius * 0.2);
+            out.push({
+                x: Math.cos(angle) * r,
+                y: baseHeight + Math.sin(i * 0.7 + 0.5 + hPhase) * heightVariation,
+                z: Math.sin(angle) * r,
+                nextAngle: ((i + 1) / count) * Math.PI * 2,
+            });
+        }
+        return out;
+    },
+
+    figure8(p, rng) {
+        const { count, radius, baseHeight, heightVariation, difficulty } = p;
+        const phase = rng() * Math.PI * 2;
+        const out = [];
+        for (let i = 0; i < count; i++) {
+            // Lemniscate of Gerono, lobes left and right of the spawn line
+            const t = ((i + 0.5) / count) * Math.PI * 2;
+            const jitter = 1 + (rng() - 0.5) * 0.3 * difficulty;
+            out.push({
+                x: Math.sin(t) * radius * jitter,
+                y: baseHeight + Math.sin(t * 2 + phase) * heightVariation,
+                z: -radius * 0.8 - Math.sin(t) * Math.cos(t) * radius * jitter,
+            });
+        }
+        return out;
+    },
+
+    slalom(p, rng) {
+        const { count, radius, baseHeight, heightVariation, difficulty } = p;
+        // Two lanes: out on one side, back on the other
+        const half    = Math.ceil(count / 2);
+        const spacing = (radius * 2) / half;
+        const amp     = spacing * (0.2 + 0.3 * difficulty);
+        const lane    = radius * 0.45 * (rng() < 0.5 ? 1 : -1);
+        const out = [];
+        for (let i = 0; i < count; i++) {
+            const back = i >= half;
+            const step = back ? count - i : i + 1;
+            out.push({
+                x: (back ? -lane : lane) +
+                   (i % 2 === 0 ? 1 : -1) * amp * (0.7 + rng() * 0.6),
+                y: baseHeight + (rng() - 0.5) * 2 * heightVariation,
+                z: -step * spacing,
+            });
+        }
+        return out;
+    },
+
+    spiral(p, rng) {
+        const { count, radius, baseHeight, heightVariation } = p;
+        const turns = 1.25 + rng() * 0.5;
+        const dir   = rng() < 0.5 ? 1 : -1;
+        const out = [];
+        for (let i = 0; i < count; i++) {
+            const f = count > 1 ? i / (count - 1) : 0;
+            const a = f * turns * Math.PI * 2;
+            const r = radius * (1 - 0.3 * f);
+            // Centre ahead of the spawn, first ring on the near side
+            out.push({
+                x: dir * Math.sin(a) * r,
+                y: baseHeight - heightVariation + 2 * heightVariation * f,
+                z: -radius * 1.4 + Math.cos(a) * r,
+            });
+        }
+        return out;
+    },
+
+    spline(p, rng) {
+        const { count, radius, baseHeight, heightVariation } = p;
+        const k = 5 + Math.floor(rng() * 3);
+        const control = [];
+        for (let i = 0; i < k; i++) {
+            const a = ((i + (rng() - 0.5) * 0.6) / k) * Math.PI * 2;
+            const r = radius * (0.55 + rng() * 0.45);
+            control.push(new THREE.Vector3(
+                Math.sin(a) * r,
+                baseHeight + (rng() - 0.5) * 2 * heightVariation,
+                -radius - Math.cos(a) * r
+            ));
+        }
+        const curve = new THREE.CatmullRomCurve3(control, true, 'centripetal');
+        return curve.getSpacedPoints(count).slice(0, count)
+            .map((v) => ({ x: v.x, y: v.y, z: v.z }));
+    },
+};
+
+/* ======================================================
+ *  Flyability
+ * ====================================================== */
+
+/**
+ * Scale the course outward until every turn and gap is wide enough,
+ * then clamp heights to the gradient / floor limits. Mutates positions.
+ * @returns {number} horizontal scale applied (≥ 1)
+ */
+function makeFlyable(positions, limits) {
+    const start = { x: 0, y: START_HEIGHT, z: 0 };
+    let scale = 1;
+
+    // Turn radius and spacing both grow linearly with horizontal scale
+    let need = 1;
+    let prev = start;
+    positions.forEach((p, i) => {
+        const gap = Math.hypot(p.x - prev.x, p.y - prev.y, p.z - prev.z);
+        if (gap > 1e-6 && i > 0) need = Math.max(need, limits.minSpacing / gap);
+
+        // The leg from the spawn is free – the plane can circle onto it
+        const r = i > 0 ? turnRadius(prev, p, positions[i + 1]) : Infinity;
+        if (r < limits.minTurnRadius) need = Math.max(need, limits.minTurnRadius / r);
+        prev = p;
+    });
+
+    if (need > 1) {
+        scale = need;
+        positions.forEach((p) => { p.x *= scale; p.z *= scale; });
+    }
+
+    // Heights: keep off the floor, then limit each climb / dive
+    prev = start;
+    positions.forEach((p) => {
+        const run  = Math.hypot(p.x - prev.x, p.z - prev.z);
+        const maxD = run * limits.maxGradient;
+        p.y = Math.max(limits.minHeight, p.y);
+        p.y = THREE.MathUtils.clamp(p.y, prev.y - maxD, prev.y + maxD);
+        p.y = Math.max(limits.minHeight, p.y);
+        prev = p;
+    });
+
+    return scale;
+}
+
+/**
+ * Horizontal radius of the circle through a → b → c (Infinity when
+ * straight or `c` is missing – the finish leg is free).
+ */
+function turnRadius(a, b, c) {
+    if (!c) return Infinity;
+    const abx = b.x - a.x, abz = b.z - a.z;
+    const bcx = c.x - b.x, bcz = c.z - b.z;
+    const cax = a.x - c.x, caz = a.z - c.z;
+    const cross = Math.abs(abx * bcz - abz * bcx);
+    if (cross < 1e-9) return Infinity;
+    return (Math.hypot(abx, abz) * Math.hypot(bcx, bcz) * Math.hypot(cax, caz)) / (2 * cross);
+}
@@ -0,0 +1,65 @@
+// ============================================================
+// Damage – hull health, scrapes and knock-backs
+//
+// Levels opt in with `health` (hull points, e.g. 100); without it a
+// run stays one-hit and any impact is a crash, as before.
+//
+// An impact is judged by the speed INTO the surface (the velocity
+// along the hit normal), so a wingtip brushing a wall costs little
+// while flying into it head-on does not:
+//   • heavy    – faster than HEAVY_IMPACT: the run ends
+//   • glancing – costs DAMAGE_PER_MS points per m/s (at least
+//                MIN_DAMAGE) and knocks the plane back off the
+//                surface; at zero health the run ends too
+// ============================================================
+
+const HEAVY_IMPACT  = 3.5;   // m/s into the surface – always fatal beyond
+const DAMAGE_PER_MS = 12;    // hull points per m/s of impact speed
+const MIN_DAMAGE    = 5;     // even a brush leaves a mark
+const RESTITUTION   = 0.4;   // share of the speed into the surface bounced back
+const SCRUB         = 0.8;   // speed kept after a knock-back (friction, lost lift)
+
+export class DamageModel {
+    constructor() {
+        this.maxHealth = 0;   // 0 = one-hit
+        this.health    = 0;
+    }
+
+    get enabled() { return this.maxHealth > 0; }
+
+    /** Hull left, 0 … 1 (1 on one-hit runs until the crash). */
+    get fraction() {
+        return this.enabled ? this.health / this.maxHealth : 1;
+    }
+
+    /** Fresh hull for a run – `health` from the level, 0/undefined = one-hit. */
+    reset(health = 0) {
+        this.maxHealth = health > 0 ? health : 0;
+        this.health    = this.maxHealth;
+    }
+
+    /**
+     * Apply an impact to the hull.
+     * @param {THREE.Vector3} velocity – world, m/s
+     * @param {THREE.Vector3} normal   – world, facing the plane
+     * @returns {{ fatal: boolean, damage: number, impactSpeed: number }}
+     */
+    impact(velocity, normal) {
+        const impactSpeed = Math.max(0, -velocity.dot(normal));
+        if (!this.enabled || impactSpeed > HEAVY_IMPACT) {
+            return { fatal: true, damage: this.health, impactSpeed };
+        }
+
+        const damage = Math.max(MIN_DAMAGE, impactSpeed * DAMAGE_PER_MS);
+        this.health  = Math.max(0, this.health - damage);
+        return { fatal: this.health <= 0, damage, impactSpeed };
+    }
+
+    /** Bounce a velocity off the surface (in place). */
+    knockBack(velocity, normal) {
+        const into = velocity.dot(normal);
+        if (into < 0) velocity.addScaledVector(normal, -(1 + RESTITUTION) * into);
+        velocity.multiplyScalar(SCRUB);
+        return velocity;
+    }
+}
@@ -0,0 +1,281 @@
+// ============================================================
+// Depth Occlusion – per-pixel occlusion & collision from
+// WebXR depth-sensing
+//
+// Devices with a depth sensor (or depth-from-motion) report how far
+// away the real world is for every pixel of the camera view:
+//   • occlusion – a full-screen quad, drawn before everything else,
+//                 writes the real depth into the depth buffer (colour
+//                 off), so the plane and rings hide behind furniture
+//                 and people
+//   • collision – collision points are projected into the depth map;
+//                 a point just behind the real surface is inside it
+//
+// CPU-optimised depth is converted to metres in a float texture (and
+// kept for collision queries). GPU-optimised depth is sampled straight
+// from the UA's texture – occlusion only. Without depth, OcclusionSystem
+// carries on with its plane-based occluders alone.
+// ============================================================
+import * as THREE from 'three';
+
+const CONTACT_DEPTH = 0.2;    // m – this far behind a real surface is "inside" it
+const CONTACT_SLACK = 0.05;   // m – in front of it still touches (sensor noise)
+const MAX_DEPTH     = 8;      // m – readings further away are ignored
+const NEAR_LIMIT    = 0.1;    // m – points this close to the camera are skipped
+
+/** Session init for ARButton – preferences in order. */
+export const DEPTH_SENSING_INIT = {
+    usagePreference:      ['cpu-optimized', 'gpu-optimized'],
+    dataFormatPreference: ['luminance-alpha', 'float32'],
+};
+
+const vertexShader = /* glsl */`
+    varying vec2 vUv;
+    void main() {
+        vUv = position.xy * 0.5 + 0.5;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    uniform sampler2D uDepth;
+    uniform mat4      uUvTransform;    // normalized view → depth buffer
+    uniform float     uRawToMeters;
+    uniform bool      uPacked;         // luminance-alpha: 16 bit in 2 bytes
+    uniform mat4      uProjection;     // the depth view's projection (fragment
+                                       // shaders get no projectionMatrix)
+    varying vec2 vUv;
+
+    void main() {
+        // Normalized view coordinates have their origin top-left
+        vec2 uv    = (uUvTransform * vec4(vUv.x, 1.0 - vUv.y, 0.0, 1.0)).xy;
+        vec4 texel = texture2D(uDepth, uv);
+        float raw  = uPacked ? dot(texel.ra, vec2(255.0, 65280.0)) : texel.r;
+        float d    = raw * uRawToMeters;
+        if (d <= 0.0) discard;   // no reading – leave it to the planes
+
+        // View-space depth → window depth with this eye's projection
+        float ndc = (-uProjection[2][2] * d + uProjection[3][2]) / d;
+        gl_FragDepth = clamp(ndc * 0.5 + 0.5, 0.0, 1.0);
+    }
+`;
+
+export class DepthOcclusion {
+    constructor(scene, renderer) {
+        this.renderer = renderer;
+
+        this.supported = false;   // the session granted depth-sensing
+        this.active    = false;   // depth arrived this frame
+        this.usage     = null;    // 'cpu-optimized' | 'gpu-optimized'
+        this.format    = null;    // 'luminance-alpha' | 'float32' | 'unsigned-short'
+        this._session  = null;
+        this._binding  = null;
+
+        // CPU depth in metres, depth-buffer layout (row 0 = top)
+        this.width      = 0;
+        this.height     = 0;
+        this.depthData  = null;
+        this.cpuTexture = null;
+
+        // Wrapper around the UA's WebGL texture (GPU-optimised depth)
+        this.gpuTexture = new THREE.Texture();
+
+        // The view the depth map belongs to
+        this.viewMatrix       = new THREE.Matrix4();   // world → view
+        this.projectionMatrix = new THREE.Matrix4();
+        this.uvTransform      = new THREE.Matrix4();   // normalized view → depth buffer
+        this.cameraPosition   = new THREE.Vector3();
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uDepth:       { value: null },
+                uUvTransform: { value: this.uvTransform },
+                uRawToMeters: { value: 1 },
+                uPacked:      { value: false },
+                uProjection:  { value: this.projectionMatrix },
+            },
+            vertexShader,
+            fragmentShader,
+            colorWrite: false,
+            depthWrite: true,
+        });
+
+        // Drawn before the plane occluders (-1) and all virtual objects
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.mesh.frustumCulled = false;
+        this.mesh.renderOrder   = -2;
+        this.mesh.visible       = false;
+        scene.add(this.mesh);
+
+        this._tmp = new THREE.Vector3();
+    }
+
+    /* --------------------------------------------------
+     *  Called every frame from OcclusionSystem.update
+     * -------------------------------------------------- */
+    update(frame, refSpace) {
+        this.active       = false;
+        this.mesh.visible = false;
+
+        this._detect(frame.session);
+        if (!this.supported) return;
+
+        const pose = frame.getViewerPose(refSpace);
+        if (!pose || pose.views.length === 0) return;
+        const view = pose.views[0];
+
+        const info = this.usage === 'cpu-optimized'
+            ? frame.getDepthInformation(view)
+            : this._getBinding(frame.session).getDepthInformation(view);
+        if (!info) return;
+
+        if (this.usage === 'cpu-optimized') {
+            this._copyCpuDepth(info);
+            this.material.uniforms.uDepth.value       = this.cpuTexture;
+            this.material.uniforms.uRawToMeters.value = 1;
+            this.material.uniforms.uPacked.value      = false;
+        } else {
+            // Texture arrays (stereo headsets) and integer formats
+            // would need a different shader – planes only there
+            if (info.textureType === 'texture-array') return;
+            if (this.format === 'unsigned-short') return;
+            this.renderer.properties.get(this.gpuTexture).__webglTexture = info.texture;
+            this.renderer.properties.get(this.gpuTexture).__webglInit    = true;
+            this.material.uniforms.uDepth.value       = this.gpuTexture;
+            this.material.uniforms.uRawToMeters.value = info.rawValueToMeters;
+            this.material.uniforms.uPacked.value      = this.format === 'luminance-alpha';
+        }
+
+        this.viewMatrix.fromArray(view.transform.inverse.matrix);
+        this.projectionMatrix.fromArray(view.projectionMatrix);
+        this.uvTransform.fromArray(info.normDepthBufferFromNormView.matrix);
+        this.cameraPosition.set(
+            view.transform.position.x,
+            view.transform.position.y,
+            view.transform.position.z
+        );
+
+        this.active = true;
+        // One depth map for one eye – a stereo pair keeps to the planes
+        this.mesh.visible = pose.views.length === 1;
+    }
+
+    /** Reads the granted depth configuration once per session. */
+    _detect(session) {
+        if (this._session === session) return;
+        this._session  = session;
+        this._binding  = null;
+        this.supported = false;
+        try {
+            // Both throw when depth-sensing was not granted
+            this.usage     = session.depthUsage;
+            this.format    = session.depthDataFormat;
+            this.supported = !!this.usage;
+        } catch {
+            this.usage  = null;
+            this.format = null;
+        }
+    }
+
+    _getBinding(session) {
+        if (!this._binding) {
+            this._binding = new XRWebGLBinding(session, this.renderer.getContext());
+        }
+        return this._binding;
+    }
+
+    _copyCpuDepth(info) {
+        const { width, height } = info;
+        if (!this.depthData || width !== this.width || height !== this.height) {
+            this.width     = width;
+            this.height    = height;
+            this.depthData = new Float32Array(width * height);
+            if (this.cpuTexture) this.cpuTexture.dispose();
+            this.cpuTexture = new THREE.DataTexture(
+                this.depthData, width, height, THREE.RedFormat, THREE.FloatType
+            );
+        }
+
+        const raw = this.format === 'float32'
+            ? new Float32Array(info.data)
+            : new Uint16Array(info.data);
+        const scale = info.rawValueToMeters;
+        for (let i = 0; i < this.depthData.length; i++) {
+            this.depthData[i] = raw[i] * scale;
+        }
+        this.cpuTexture.needsUpdate = true;
+    }
+
+    /* --------------------------------------------------
+     *  Collision against the depth map
+     * -------------------------------------------------- */
+
+    /**
+     * Projects each point into the depth map; a point that sits just
+     * behind (or right on) the real surface along its camera ray hits.
+     * Only CPU depth can be queried – GPU depth never reports hits.
+     * @param {THREE.Vector3[]} points – world space
+     * @param {Object} [opts]
+     * @param {number} [opts.groundY] – surface under the wheels: points
+     *                                  down at its level are not hits
+     * @returns {{ point, normal, distance, time, surface, label } | null}
+     *          same shape as OcclusionSystem.checkCollision (surface 'object')
+     */
+    checkCollision(points, opts = {}) {
+        if (!this.active || this.usage !== 'cpu-optimized') return null;
+
+        for (const pt of points) {
+            if (opts.groundY !== undefined && pt.y < opts.groundY + 0.05) continue;
+
+            const real = this.depthAt(pt);
+            if (real === null) continue;
+
+            const depth = -this._tmp.copy(pt).applyMatrix4(this.viewMatrix).z;
+            const penetration = depth - real;
+            if (penetration < -CONTACT_SLACK || penetration > CONTACT_DEPTH) continue;
+
+            // Contact on the real surface along the camera ray; without
+            // a mesh the best normal guess is back towards the viewer
+            const point  = this.cameraPosition.clone().lerp(pt, real / depth);
+            const normal = this.cameraPosition.clone().sub(point).normalize();
+            return {
+                point, normal,
+                distance: Math.abs(penetration),
+                time:     1,
+                surface:  'object',
+                label:    null,
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Real-world depth (m, along the view axis) behind a world point,
+     * or null when it is off-screen or there is no reading.
+     * @param {THREE.Vector3} worldPos
+     * @returns {number|null}
+     */
+    depthAt(worldPos) {
+        if (!this.depthData) return null;
+
+        const p = this._tmp.copy(worldPos).applyMatrix4(this.viewMatrix);
+        if (-p.z < NEAR_LIMIT) return null;
+
+        // View → NDC → normalized view (origin top-left) → depth buffer
+        p.applyMatrix4(this.projectionMatrix);
+        if (Math.abs(p.x) > 1 || Math.abs(p.y) > 1) return null;
+        p.set((p.x + 1) / 2, (1 - p.y) / 2, 0).applyMatrix4(this.uvTransform);
+
+        const x = THREE.MathUtils.clamp(Math.floor(p.x * this.width),  0, this.width  - 1);
+        const y = THREE.MathUtils.clamp(Math.floor(p.y * this.height), 0, this.height - 1);
+        const d = this.depthData[y * this.width + x];
+        return d > 0 && d < MAX_DEPTH ? d : null;
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+        if (this.cpuTexture) this.cpuTexture.dispose();
+        this.mesh.removeFromParent();
+    }
+}
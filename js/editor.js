@@ -0,0 +1,364 @@
+// ============================================================
+// Level Editor – build custom checkpoint courses in the room
+//
+// Rings are placed on the hit-test reticle or in the air in
+// front of the camera, then nudged (size / yaw / height /
+// order) and saved as a custom level in localStorage. Ring
+// positions are course-local: they are relative to where the
+// editor was opened, just like a level relative to the spawn.
+// ============================================================
+import * as THREE from 'three';
+import { saveCustomLevel, deleteCustomLevel } from './levels.js';
+import { defaultStarThresholds, levelToJSON } from './levelFormat.js';
+
+const DEFAULT_RING_SIZE = 0.8;
+const MIN_RING_SIZE     = 0.3;
+const MAX_RING_SIZE     = 2.0;
+const SIZE_STEP         = 0.1;                 // m
+const YAW_STEP          = Math.PI / 12;        // 15°
+const HEIGHT_STEP       = 0.1;                 // m
+const RETICLE_LIFT      = 0.4;                 // gap between floor and ring (m)
+
+const SELECTED_COLOR = 0x00e5ff;
+const RING_COLOR     = 0x00ff00;
+
+export class LevelEditor {
+    /**
+     * @param {import('./game.js').GameManager} game – owns the course group
+     */
+    constructor(game) {
+        this.game   = game;
+        this.active = false;
+
+        this.rings    = [];     // [{ x, y, z, yaw, size }] course-local
+        this.selected = -1;
+        this.levelId  = null;   // id when editing a saved level
+        this.source   = null;   // that level (keeps wind zones, unlock rule)
+
+        // Preview meshes live in the course group (course-local space)
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        game.courseGroup.add(this.group);
+
+        // Set by app.js
+        this.getPlacement  = null;   // (kind: 'reticle'|'air') → { position, forward } | null
+        this.canUseReticle = true;
+        this.onSave        = null;   // (level)
+        this.onExit        = null;
+
+        this._setupUI();
+    }
+
+    /* ======================================================
+     *  UI
+     * ====================================================== */
+
+    _setupUI() {
+        this.ui = document.getElementById('editorUI');
+        if (!this.ui) return;
+
+        const actions = {
+            addReticle: () => this.addRing('reticle'),
+            addAir:     () => this.addRing('air'),
+            prev:       () => this.select(this.selected - 1),
+            next:       () => this.select(this.selected + 1),
+            sizeDown:   () => this._adjust(r => { r.size = clampSize(r.size - SIZE_STEP); }),
+            sizeUp:     () => this._adjust(r => { r.size = clampSize(r.size + SIZE_STEP); }),
+            yawLeft:    () => this._adjust(r => { r.yaw += YAW_STEP; }),
+            yawRight:   () => this._adjust(r => { r.yaw -= YAW_STEP; }),
+            down:       () => this._adjust(r => { r.y = Math.max(r.size, r.y - HEIGHT_STEP); }),
+            up:         () => this._adjust(r => { r.y += HEIGHT_STEP; }),
+            earlier:    () => this.moveSelected(-1),
+            later:      () => this.moveSelected(1),
+            remove:     () => this.removeSelected(),
+            save:       () => this.save(),
+            exportFile: () => this.exportFile(),
+            deleteLevel: () => this.deleteLevel(),
+            exit:       () => this.close(),
+        };
+
+        this.ui.querySelectorAll('[data-edit]').forEach((btn) => {
+            const fn = actions[btn.dataset.edit];
+            if (fn) btn.addEventListener('click', fn);
+        });
+
+        // Ring labels face the approach side only in ordered mode
+        document.getElementById('edMode')
+            .addEventListener('change', () => this._rebuild());
+    }
+
+    _status(text) {
+        const el = document.getElementById('edStatus');
+        if (el) el.textContent = text;
+    }
+
+    /* ======================================================
+     *  OPEN / CLOSE
+     * ====================================================== */
+
+    /**
+     * Start editing – a saved custom level, or a new course when
+     * `level` is null or built-in. The caller sets the course origin.
+     */
+    open(level = null) {
+        const custom  = level && level.custom && Array.isArray(level.checkpoints) ? level : null;
+        this.source   = custom;
+        this.levelId  = custom ? custom.id : null;
+        this.rings    = custom ? custom.checkpoints.map(cp => ({ ...cp })) : [];
+        this.selected = this.rings.length - 1;
+
+        const windDir = custom ? custom.windDirection : [0, 0, -1];
+        document.getElementById('edName').value = custom ? custom.name : '';
+        document.getElementById('edMode').value = custom ? custom.checkpointMode : 'ordered';
+        document.getElementById('edTime').value = custom ? custom.timeLimit : 60;
+        document.getElementById('edWind').value = custom ? custom.windSpeed : 0;
+        document.getElementById('edWindDir').value =
+            Math.round(THREE.MathUtils.radToDeg(Math.atan2(windDir[0], -windDir[2])));
+        document.getElementById('edTurb').value = custom ? custom.turbulence : 0;
+
+        document.querySelector('[data-edit="addReticle"]').style.display =
+            this.canUseReticle ? '' : 'none';
+        document.querySelector('[data-edit="deleteLevel"]').style.display =
+            this.levelId ? '' : 'none';
+
+        this.active = true;
+        this.group.visible = true;
+        this.ui.style.display = 'block';
+        document.getElementById('spawnUI').style.display = 'none';
+
+        this._rebuild();
+        this._status(custom
+            ? `Editing ${custom.name}`
+            : '📍 Add rings – fly the course from this same spot');
+    }
+
+    close() {
+        this.active = false;
+        this.group.visible = false;
+        this._clearMeshes();
+        this.ui.style.display = 'none';
+        document.getElementById('spawnUI').style.display = 'block';
+        if (this.onExit) this.onExit();
+    }
+
+    /* ======================================================
+     *  EDITING
+     * ====================================================== */
+
+    /**
+     * Add a ring after the selected one.
+     * @param {'reticle'|'air'} kind
+     */
+    addRing(kind) {
+        const placement = this.getPlacement ? this.getPlacement(kind) : null;
+        if (!placement) {
+            this._status(kind === 'reticle'
+                ? '❌ No surface under the reticle'
+                : '❌ Cannot place a ring right now');
+            return;
+        }
+
+        // World → course-local
+        const inv = this.game.courseGroup.matrix.clone().invert();
+        const pos = placement.position.clone().applyMatrix4(inv);
+        const fwd = placement.forward.clone().transformDirection(inv);
+        if (kind === 'reticle') pos.y += DEFAULT_RING_SIZE + RETICLE_LIFT;
+
+        const ring = {
+            x: round2(pos.x),
+            y: round2(pos.y),
+            z: round2(pos.z),
+            yaw: Math.atan2(fwd.x, fwd.z),   // flown through along the view direction
+            size: DEFAULT_RING_SIZE,
+        };
+        this.rings.splice(this.selected + 1, 0, ring);
+        this.selected++;
+        this._rebuild();
+    }
+
+    select(index) {
+        if (this.rings.length === 0) return;
+        this.selected = (index + this.rings.length) % this.rings.length;
+        this._rebuild();
+    }
+
+    /** Move the selected ring one place earlier (-1) or later (+1). */
+    moveSelected(step) {
+        const to = this.selected + step;
+        if (this.selected < 0 || to < 0 || to >= this.rings.length) return;
+        const [ring] = this.rings.splice(this.selected, 1);
+        this.rings.splice(to, 0, ring);
+        this.selected = to;
+        this._rebuild();
+    }
+
+    removeSelected() {
+        if (this.selected < 0) return;
+        this.rings.splice(this.selected, 1);
+        this.selected = Math.min(this.selected, this.rings.length - 1);
+        this._rebuild();
+    }
+
+    _adjust(fn) {
+        const ring = this.rings[this.selected];
+        if (!ring) return;
+        fn(ring);
+        ring.y = round2(ring.y);
+        ring.size = round2(ring.size);
+        this._rebuild();
+    }
+
+    /* ======================================================
+     *  SAVE / DELETE
+     * ====================================================== */
+
+    /** Level object in the same shape as the built-in LEVELS entries. */
+    buildLevel() {
+        const timeLimit  = clampInt(document.getElementById('edTime').value, 10, 600, 60);
+        const windSpeed  = clampNum(document.getElementById('edWind').value, 0, 5, 0);
+        const turbulence = clampNum(document.getElementById('edTurb').value, 0, 1, 0);
+        const heading    = THREE.MathUtils.degToRad(+document.getElementById('edWindDir').value || 0);
+        const name       = document.getElementById('edName').value.trim() || 'My Course';
+        const sizes      = this.rings.map(r => r.size);
+
+        return {
+            id:              this.levelId || `custom-${Date.now().toString(36)}`,
+            name,
+            description:     `Custom course — ${this.rings.length} checkpoints`,
+            custom:          true,
+            checkpointCount: this.rings.length,
+            checkpointMode:  document.getElementById('edMode').value,
+            timeLimit,
+            ringSize:        sizes.reduce((a, s) => a + s, 0) / sizes.length,
+            windSpeed,
+            windDirection:   [round2(Math.sin(heading)), 0, round2(-Math.cos(heading))],
+            turbulence,
+            windZones:       this.source ? this.source.windZones : [],
+            requiredForUnlock: this.source ? this.source.requiredForUnlock : 0,
+            unlockStars:     this.source ? this.source.unlockStars : 0,
+            starThresholds:  defaultStarThresholds(timeLimit),
+            checkpoints:     this.rings.map(r => ({ ...r, yaw: round2(r.yaw) })),
+            // Kept from an imported level file (no editor controls yet)
+            ...(this.source?.fuel !== undefined ? { fuel: this.source.fuel } : {}),
+            ...(this.source?.health !== undefined ? { health: this.source.health } : {}),
+            ...(this.source?.finish ? { finish: this.source.finish } : {}),
+        };
+    }
+
+    save() {
+        if (this.rings.length === 0) {
+            this._status('❌ Place at least one ring first');
+            return;
+        }
+        const level = this.buildLevel();
+        saveCustomLevel(level);
+        this.levelId = level.id;
+        document.querySelector('[data-edit="deleteLevel"]').style.display = '';
+        this._status(`💾 Saved "${level.name}"`);
+        if (this.onSave) this.onSave(level);
+    }
+
+    /** Download the course as a `.json` level file (see levelFormat.js). */
+    exportFile() {
+        if (this.rings.length === 0) {
+            this._status('❌ Place at least one ring first');
+            return;
+        }
+        const level = this.buildLevel();
+        const blob  = new Blob([JSON.stringify(levelToJSON(level), null, 2)],
+            { type: 'application/json' });
+        const url   = URL.createObjectURL(blob);
+        const a     = document.createElement('a');
+        a.href      = url;
+        a.download  = `${level.id}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    deleteLevel() {
+        if (!this.levelId) return;
+        if (!window.confirm('Delete this custom level?')) return;
+        deleteCustomLevel(this.levelId);
+        this.levelId = null;
+        this.close();
+    }
+
+    /* ======================================================
+     *  PREVIEW
+     * ====================================================== */
+
+    /** World position of the selected ring (simulator camera focus). */
+    getFocus(out) {
+        const ring = this.rings[this.selected];
+        if (!ring) return false;
+        out.set(ring.x, ring.y, ring.z).applyMatrix4(this.game.courseGroup.matrix);
+        return true;
+    }
+
+    _clearMeshes() {
+        [...this.group.children].forEach((child) => {
+            this.group.remove(child);
+            child.traverse((o) => {
+                if (o.geometry) o.geometry.dispose();
+                if (o.material) {
+                    if (o.material.map) o.material.map.dispose();
+                    o.material.dispose();
+                }
+            });
+        });
+    }
+
+    _rebuild() {
+        this._clearMeshes();
+        const ordered = document.getElementById('edMode').value === 'ordered';
+
+        this.rings.forEach((r, i) => {
+            const mesh  = this.game.createRingMesh(r.size, i + 1, ordered);
+            const color = i === this.selected ? SELECTED_COLOR : RING_COLOR;
+            mesh.material.color.setHex(color);
+            mesh.material.emissive.setHex(color);
+            mesh.position.set(r.x, r.y, r.z);
+            mesh.rotation.y = r.yaw;
+            this.group.add(mesh);
+        });
+
+        // Flight line through the rings in order
+        if (this.rings.length > 1) {
+            const pts = this.rings.map(r => new THREE.Vector3(r.x, r.y, r.z));
+            this.group.add(new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(pts),
+                new THREE.LineBasicMaterial({
+                    color: 0xffffff, transparent: true, opacity: 0.5,
+                })
+            ));
+        }
+
+        const ring = this.rings[this.selected];
+        const el   = document.getElementById('edSelected');
+        if (el) {
+            el.textContent = ring
+                ? `Ring ${this.selected + 1}/${this.rings.length} · ⌀${(ring.size * 2).toFixed(1)}m · ` +
+                  `${Math.round(THREE.MathUtils.radToDeg(ring.yaw))}° · ↑${ring.y.toFixed(1)}m`
+                : 'No rings yet';
+        }
+    }
+}
+
+/* ---------- helpers ---------- */
+
+function round2(v) {
+    return Math.round(v * 100) / 100;
+}
+
+function clampSize(v) {
+    return Math.max(MIN_RING_SIZE, Math.min(MAX_RING_SIZE, v));
+}
+
+function clampNum(value, min, max, fallback) {
+    const v = parseFloat(value);
+    return Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : fallback;
+}
+
+function clampInt(value, min, max, fallback) {
+    return Math.round(clampNum(value, min, max, fallback));
+}
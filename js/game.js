@@ -3,11 +3,44 @@
 // ============================================================
 import * as THREE from 'three';
 import {
-    LEVELS,
     getUnlockedLevels,
-    markLevelCompleted,
     generateCheckpointPositions,
+    computeStars,
+    saveCustomLevel,
+    isReservedLevelId,
 } from './levels.js';
+import { parseLevel } from './levelFormat.js';
+import {
+    getLevelRecord,
+    recordAttempt,
+    recordCrash,
+    recordCompletion,
+    exportSave,
+    importSave,
+} from './saveData.js';
+import { fitCourseToRoom, fitPoint } from './courseFit.js';
+import {
+    isLandingLevel,
+    scoreTouchdown,
+    landingPoints,
+    landingStars,
+} from './landing.js';
+
+/** '★★☆' style string for a 0–3 rating. */
+function formatStars(count) {
+    return '★'.repeat(count) + '☆'.repeat(3 - count);
+}
+
+/** Selector label: "L3" for built-ins, the name for file-based levels. */
+function levelLabel(level) {
+    if (level.daily)   return '📅 DAILY';
+    if (level.custom)  return `✏️ ${level.name}`;
+    if (level.bundled) return `📦 ${level.name}`;
+    return `L${level.id}`;
+}
+
+// A landing only counts once the plane has (almost) stopped
+const PAD_STOP_SPEED = 0.3;   // m/s groundspeed
 
 export class GameManager {
     constructor(scene) {
@@ -16,18 +49,43 @@ export class GameManager {
         // State
         this.isPlaced       = false;
         this.isFlying       = false;
+        this.levels         = getUnlockedLevels();  // built-in + custom
         this.currentLevel   = 0;
         this.checksCollected = 0;
+        this.nextCheckpoint = 0;   // active ring index in ordered mode
         this.timeLeft       = 0;
-        this.gameTimer      = null;
+        this.elapsed        = 0;   // flight time of the current run (s)
+        this.lastStars      = 0;   // rating of the last completed run
+        this._lastResult    = null; // { newBestTime, newBestStars }
+        this.landing        = null; // score of the last touchdown (landing levels)
+        this.touchdowns     = 0;    // touchdowns after the last ring
+        this._secondTimer   = 0;
+
+        // Scene objects – the whole course (rings + finish) lives in a
+        // group anchored to the placement pose, not the world origin
+        this.courseGroup = new THREE.Group();
+        this.courseGroup.matrixAutoUpdate = false;
+        scene.add(this.courseGroup);
 
-        // Scene objects
         this.checkpoints = [];
         this.finishFlag  = null;
 
+        // Detected room (for fitting the course around walls)
+        this.roomSurfaces = [];
+        this.spawnPoint   = null;
+        this.courseFit    = null;
+
+        // Plane position at the previous check (ring-crossing test)
+        this._lastPlanePos = null;
+
+        // "Next ring" pointer arrow floating above the plane
+        this.pointer = this._createPointer();
+        scene.add(this.pointer);
+
         // Callbacks (set by app.js)
-        this.onGameEnd = null;
-        this.onReset   = null;
+        this.onGameEnd    = null;
+        this.onReset      = null;
+        this.onCheckpoint = null;   // (ringIndex, worldPos)
 
         this._setupUI();
     }
@@ -45,6 +103,69 @@ export class GameManager {
         const nextBtn = document.getElementById('nextLevelBtn');
         if (nextBtn)
             nextBtn.addEventListener('click', () => this.nextLevel());
+
+        this._setupSaveTools();
+        this._setupLevelImport();
+    }
+
+    /** Export / import buttons for moving progress between devices. */
+    _setupSaveTools() {
+        const exportBtn = document.getElementById('exportSaveBtn');
+        const importBtn = document.getElementById('importSaveBtn');
+        const fileInput = document.getElementById('importSaveFile');
+        if (!exportBtn || !importBtn || !fileInput) return;
+
+        exportBtn.addEventListener('click', () => {
+            const blob = new Blob([exportSave()], { type: 'application/json' });
+            const url  = URL.createObjectURL(blob);
+            const a    = document.createElement('a');
+            a.href     = url;
+            a.download = 'arflight-save.json';
+            a.click();
+            URL.revokeObjectURL(url);
+        });
+
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                importSave(await file.text());
+                this._buildLevelSelector();
+                document.getElementById('info').textContent = '💾 Progress imported!';
+            } catch (err) {
+                document.getElementById('info').textContent =
+                    `❌ Import failed: ${err.message}`;
+            }
+        });
+    }
+
+    /** Import a `.json` level file (see levelFormat.js) as a custom level. */
+    _setupLevelImport() {
+        const importBtn = document.getElementById('importLevelBtn');
+        const fileInput = document.getElementById('importLevelFile');
+        if (!importBtn || !fileInput) return;
+
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const level = parseLevel(await file.text());
+                if (isReservedLevelId(level.id))
+                    throw new Error(`id "${level.id}" belongs to a bundled level`);
+                saveCustomLevel(level);
+                this.selectLevel(level.id);
+                document.getElementById('info').textContent =
+                    `📥 Level "${level.name}" imported!`;
+            } catch (err) {
+                console.warn('⚠️ Level import failed:', err.message);
+                document.getElementById('info').textContent =
+                    `❌ Level rejected: ${err.message.replace(/\n • /g, ' • ')}`;
+            }
+        });
     }
 
     _buildLevelSelector() {
@@ -52,15 +173,26 @@ export class GameManager {
         if (!container) return;
         container.innerHTML = '';
 
-        const levels = getUnlockedLevels();
-        levels.forEach((level, i) => {
+        this.levels       = getUnlockedLevels();
+        this.currentLevel = Math.min(this.currentLevel, this.levels.length - 1);
+
+        this.levels.forEach((level, i) => {
             const btn       = document.createElement('button');
             btn.className   = 'levelBtn'
                 + (i === this.currentLevel ? ' selected' : '')
-                + (!level.unlocked ? ' locked' : '');
-            btn.textContent = `L${level.id}`;
+                + (!level.unlocked ? ' locked' : '')
+                + (level.custom ? ' custom' : '');
+            btn.textContent = levelLabel(level);
             btn.title       = level.name + (level.unlocked ? '' : ' 🔒');
 
+            const best = getLevelRecord(level.id).bestStars;
+            if (level.unlocked && best > 0) {
+                const stars       = document.createElement('span');
+                stars.className   = 'levelStars';
+                stars.textContent = formatStars(best);
+                btn.appendChild(stars);
+            }
+
             if (level.unlocked) {
                 btn.addEventListener('click', () => {
                     this.currentLevel = i;
@@ -77,23 +209,100 @@ export class GameManager {
     }
 
     _updateLevelDesc() {
-        const level = LEVELS[this.currentLevel];
+        const level = this.getLevelConfig();
         const el    = document.getElementById('levelDesc');
         if (el) el.textContent = `${level.name}: ${level.description}`;
     }
 
+    /** Re-read built-in + custom levels into the selector. */
+    refreshLevels() {
+        this._buildLevelSelector();
+    }
+
+    /** Select a level by id (e.g. one just saved in the editor). */
+    selectLevel(id) {
+        this._buildLevelSelector();
+        const i = this.levels.findIndex(l => l.id === id);
+        if (i >= 0) {
+            this.currentLevel = i;
+            this._buildLevelSelector();
+        }
+    }
+
     getLevelConfig() {
-        return LEVELS[this.currentLevel];
+        return this.levels[this.currentLevel];
+    }
+
+    /** "Level 3: Wind Walker", or the labelled name for file-based levels. */
+    _levelTitle(level) {
+        return typeof level.id === 'number'
+            ? `Level ${level.id}: ${level.name}`
+            : level.daily ? `📅 ${level.name}` : levelLabel(level);
+    }
+
+    /** Ordered levels only accept the next numbered ring, front side first. */
+    _isOrdered() {
+        return this.getLevelConfig().checkpointMode === 'ordered';
+    }
+
+    /* ======================================================
+     *  COURSE ANCHOR
+     * ====================================================== */
+
+    /**
+     * Place the course origin (floor point + heading) in world space.
+     * @param {THREE.Vector3} position
+     * @param {THREE.Quaternion} quaternion
+     */
+    setCourseOrigin(position, quaternion) {
+        this.courseGroup.matrix.compose(
+            position, quaternion, new THREE.Vector3(1, 1, 1)
+        );
+        this.courseGroup.updateMatrixWorld(true);
+    }
+
+    /** World pose → course-local pose (replays are stored course-local). */
+    worldToCourse(pos, quat, outPos, outQuat) {
+        const m = this.courseGroup.matrix;
+        const q = new THREE.Quaternion().setFromRotationMatrix(m).invert();
+        outPos.copy(pos).applyMatrix4(m.clone().invert());
+        outQuat.copy(q.multiply(quat));
+    }
+
+    /** Course-local pose → world pose. */
+    courseToWorld(pos, quat, outPos, outQuat) {
+        const m = this.courseGroup.matrix;
+        const q = new THREE.Quaternion().setFromRotationMatrix(m);
+        outPos.copy(pos).applyMatrix4(m);
+        outQuat.copy(q.multiply(quat));
+    }
+
+    /**
+     * Surfaces the course must keep clear of (see OcclusionSystem.getSurfaces).
+     * @param {Object[]} surfaces
+     * @param {THREE.Vector3} [spawn] – world position the plane starts from
+     */
+    setRoomSurfaces(surfaces, spawn = null) {
+        this.roomSurfaces = surfaces || [];
+        this.spawnPoint   = spawn ? spawn.clone() : null;
+    }
+
+    /**
+     * Re-pose the course from a tracked anchor (column-major 4×4).
+     * @param {Float32Array|number[]} matrixArray
+     */
+    setCourseMatrix(matrixArray) {
+        this.courseGroup.matrix.fromArray(matrixArray);
+        this.courseGroup.updateMatrixWorld(true);
     }
 
     /* ======================================================
      *  CHECKPOINTS & FINISH FLAG
      * ====================================================== */
 
-    createCheckpoints() {
-        // Dispose previous
+    _clearCheckpoints() {
         this.checkpoints.forEach(cp => {
-            this.scene.remove(cp);
+            this.courseGroup.remove(cp);
             cp.traverse(child => {
                 if (child.geometry) child.geometry.dispose();
                 if (child.material) {
@@ -103,59 +312,174 @@ export class GameManager {
             });
         });
         this.checkpoints = [];
+    }
 
-        const level     = this.getLevelConfig();
-        const positions = generateCheckpointPositions(level);
+    createCheckpoints() {
+        this._clearCheckpoints();
 
-        positions.forEach((pos, i) => {
-            const ringGeo = new THREE.TorusGeometry(
-                level.ringSize, level.ringSize * 0.12, 16, 32
-            );
-            const ringMat = new THREE.MeshStandardMaterial({
-                color: 0x00ff00,
-                emissive: 0x00ff00,
-                emissiveIntensity: 0.5,
-                transparent: true,
-                opacity: 0.9,
-            });
+        const level = this.getLevelConfig();
+
+        // Scale / rotate / shift the course to clear the detected room
+        const start = this.spawnPoint
+            ? this.spawnPoint.clone().applyMatrix4(this.courseGroup.matrix.clone().invert())
+            : undefined;
+        const rings    = generateCheckpointPositions(level);
+        const explicit = Array.isArray(level.checkpoints);
+        const maxSize  = Math.max(...rings.map(r => r.size || level.ringSize));
+        this.courseFit = fitCourseToRoom(
+            rings, maxSize, this.roomSurfaces, this.courseGroup.matrix,
+            { start, keepIfFits: explicit }
+        );
+        const positions = this.courseFit.positions;
+        const ordered   = this._isOrdered();
 
-            const ring = new THREE.Mesh(ringGeo, ringMat);
+        positions.forEach((pos, i) => {
+            const size = pos.size || level.ringSize;
+            const ring = this.createRingMesh(size, i + 1, ordered);
             ring.position.set(pos.x, pos.y, pos.z);
 
-            // Face toward next checkpoint
-            const next = positions[(i + 1) % positions.length];
-            ring.lookAt(next.x, pos.y, next.z);
-
-            // Number label
-            const canvas = document.createElement('canvas');
-            canvas.width  = 128;
-            canvas.height = 128;
-            const ctx = canvas.getContext('2d');
-            ctx.fillStyle    = '#00ff00';
-            ctx.font         = 'bold 72px Arial';
-            ctx.textAlign    = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText((i + 1).toString(), 64, 64);
-
-            const tex    = new THREE.CanvasTexture(canvas);
-            const numMat = new THREE.MeshBasicMaterial({
-                map: tex, transparent: true, side: THREE.DoubleSide,
-            });
-            const label = new THREE.Mesh(
-                new THREE.PlaneGeometry(0.4, 0.4), numMat
-            );
-            label.position.z = 0.15;
-            ring.add(label);
+            // Face along the course (course-local, before parenting).
+            // Hand-placed rings keep their yaw (turned with the fit);
+            // ordered rings face the flight direction through them:
+            // spawn → 1 → 2 → … → finish.
+            if (explicit) {
+                ring.rotation.y = (pos.yaw || 0) - this.courseFit.rotation;
+            } else if (ordered) {
+                const prev = i > 0 ? positions[i - 1] : (start || { x: 0, z: 0 });
+                const next = i < positions.length - 1 ? positions[i + 1] : { x: 0, z: 0 };
+                const dir  = this._flightDirection(prev, pos, next);
+                ring.lookAt(pos.x + dir.x, pos.y, pos.z + dir.z);
+            } else {
+                const next = positions[(i + 1) % positions.length];
+                ring.lookAt(next.x, pos.y, next.z);
+            }
 
-            ring.userData   = { collected: false, index: i, timer: 0 };
+            ring.userData   = { collected: false, index: i, timer: 0, size };
             ring.renderOrder = 0;
-            this.scene.add(ring);
+            this.courseGroup.add(ring);
             this.checkpoints.push(ring);
         });
+
+        this._refreshRingStates();
+    }
+
+    /**
+     * The level's wind in course-local space, moved, turned and
+     * shrunk along with the fitted course (see WindField.configure).
+     */
+    getWindConfig() {
+        const level = this.getLevelConfig();
+        const fit   = this.courseFit;
+        const turn  = (v) => {
+            if (!fit) return [...v];
+            const c = Math.cos(fit.rotation), s = Math.sin(fit.rotation);
+            return [v[0] * c - v[2] * s, v[1], v[0] * s + v[2] * c];
+        };
+        return {
+            speed:      level.windSpeed,
+            direction:  turn(level.windDirection),
+            turbulence: level.turbulence,
+            zones:      (level.windZones || []).map((z) => ({
+                ...z,
+                position: fit ? fitPoint(z.position, fit) : { ...z.position },
+                radius:   z.radius * (fit ? fit.radiusScale : 1),
+                ...(z.direction ? { direction: turn(z.direction) } : {}),
+            })),
+        };
+    }
+
+    /**
+     * Green ring with its number on the approach side (ordered) or the
+     * front. Shared with the level editor preview.
+     */
+    createRingMesh(size, number, ordered) {
+        const ringGeo = new THREE.TorusGeometry(size, size * 0.12, 16, 32);
+        const ringMat = new THREE.MeshStandardMaterial({
+            color: 0x00ff00,
+            emissive: 0x00ff00,
+            emissiveIntensity: 0.5,
+            transparent: true,
+            opacity: 0.9,
+        });
+        const ring = new THREE.Mesh(ringGeo, ringMat);
+
+        // Number label
+        const canvas = document.createElement('canvas');
+        canvas.width  = 128;
+        canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle    = '#00ff00';
+        ctx.font         = 'bold 72px Arial';
+        ctx.textAlign    = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(number.toString(), 64, 64);
+
+        const tex    = new THREE.CanvasTexture(canvas);
+        const numMat = new THREE.MeshBasicMaterial({
+            map: tex, transparent: true, side: THREE.DoubleSide,
+        });
+        const label = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.4, 0.4), numMat
+        );
+        if (ordered) {
+            // Number faces the approach side
+            label.position.z = -0.15;
+            label.rotation.y = Math.PI;
+        } else {
+            label.position.z = 0.15;
+        }
+        ring.add(label);
+
+        return ring;
+    }
+
+    /** Horizontal bisector of the incoming and outgoing legs at `pos`. */
+    _flightDirection(prev, pos, next) {
+        const inDir  = new THREE.Vector2(pos.x - prev.x, pos.z - prev.z).normalize();
+        const outDir = new THREE.Vector2(next.x - pos.x, next.z - pos.z).normalize();
+        const dir    = inDir.add(outDir);
+        return dir.lengthSq() > 1e-6 ? dir.normalize() : outDir;
+    }
+
+    /** Highlight the active ring and dim the rest (ordered mode). */
+    _refreshRingStates() {
+        if (!this._isOrdered()) return;
+        this.checkpoints.forEach(cp => {
+            if (cp.userData.collected) return;
+            const active = cp.userData.index === this.nextCheckpoint;
+            cp.material.color.setHex(active ? 0x00e5ff : 0x00ff00);
+            cp.material.emissive.setHex(active ? 0x00e5ff : 0x00ff00);
+            cp.material.emissiveIntensity = active ? 1.2 : 0.2;
+            cp.material.opacity           = active ? 0.95 : 0.35;
+        });
+    }
+
+    _createPointer() {
+        const mat = new THREE.MeshBasicMaterial({
+            color: 0x00e5ff, transparent: true, opacity: 0.85, depthTest: false,
+        });
+        const group = new THREE.Group();
+
+        // Built along +Y, turned toward the target in updatePointer()
+        const head = new THREE.Mesh(new THREE.ConeGeometry(0.07, 0.16, 12), mat);
+        head.position.y = 0.12;
+        const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.025, 0.16, 8), mat);
+        group.add(head, shaft);
+
+        group.visible     = false;
+        group.renderOrder = 10;
+        return group;
     }
 
     createFinishFlag() {
-        if (this.finishFlag) this.scene.remove(this.finishFlag);
+        if (this.finishFlag) this.courseGroup.remove(this.finishFlag);
+
+        const level = this.getLevelConfig();
+        if (isLandingLevel(level)) {
+            this.finishFlag = this._createLandingPad(level.finish);
+            this.courseGroup.add(this.finishFlag);
+            return;
+        }
 
         this.finishFlag = new THREE.Group();
         const poleMat = new THREE.MeshStandardMaterial({ color: 0xffffff });
@@ -195,7 +519,66 @@ export class GameManager {
 
         this.finishFlag.visible     = false;
         this.finishFlag.renderOrder = 0;
-        this.scene.add(this.finishFlag);
+        this.courseGroup.add(this.finishFlag);
+    }
+
+    /**
+     * Landing pad on the floor (course-local `finish.position`, moved
+     * with the fitted course) – a disc of `finish.size` radius with an
+     * H and a centreline arrow along the landing direction.
+     */
+    _createLandingPad(finish) {
+        const pad     = new THREE.Group();
+        const size    = finish.size;
+        const heading = (finish.heading || 0) - (this.courseFit ? this.courseFit.rotation : 0);
+        const pos     = this.courseFit
+            ? fitPoint(finish.position, this.courseFit)
+            : finish.position;
+        pad.position.set(pos.x, finish.position.y + 0.01, pos.z);
+        pad.rotation.y = heading + Math.PI;   // canvas top → landing direction
+
+        const cv  = document.createElement('canvas');
+        cv.width  = 256;
+        cv.height = 256;
+        const ctx = cv.getContext('2d');
+        ctx.fillStyle = '#333';
+        ctx.beginPath();
+        ctx.arc(128, 128, 124, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#ffd700';
+        ctx.lineWidth   = 12;
+        ctx.stroke();
+        ctx.fillStyle    = '#fff';
+        ctx.font         = 'bold 150px sans-serif';
+        ctx.textAlign    = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('H', 128, 136);
+
+        // Centreline, arrow at the far end
+        ctx.fillStyle = '#ffd700';
+        ctx.fillRect(124, 40, 8, 30);
+        ctx.fillRect(124, 200, 8, 40);
+        ctx.beginPath();
+        ctx.moveTo(128, 12);
+        ctx.lineTo(108, 40);
+        ctx.lineTo(148, 40);
+        ctx.fill();
+
+        const disc = new THREE.Mesh(
+            new THREE.CircleGeometry(size, 48).rotateX(-Math.PI / 2),
+            new THREE.MeshStandardMaterial({
+                map: new THREE.CanvasTexture(cv),
+                transparent: true,
+                emissive: 0xffffff,
+                emissiveIntensity: 0.15,
+            })
+        );
+        pad.add(disc);
+
+        pad.userData    = { size, heading };
+        pad.visible     = false;
+        pad.renderOrder = 0;
+        return pad;
     }
 
     /* ======================================================
@@ -205,7 +588,13 @@ export class GameManager {
     startLevel() {
         const level = this.getLevelConfig();
         this.checksCollected = 0;
+        this.nextCheckpoint  = 0;
+        this.landing         = null;
+        this.touchdowns      = 0;
+        this._lastPlanePos   = null;
         this.timeLeft        = level.timeLimit;
+        this.elapsed         = 0;
+        this._secondTimer    = 0;
         this.isFlying        = true;
         this.isPlaced        = true;
 
@@ -214,20 +603,36 @@ export class GameManager {
         this.finishFlag.visible = true;
 
         this._updateHUD();
-        this._startTimer();
+        recordAttempt(level.id);
 
         document.getElementById('spawnUI').style.display = 'none';
-        document.getElementById('info').textContent =
-            `Level ${level.id}: Fly through ${level.checkpointCount} checkpoints!`;
+        document.getElementById('info').textContent = this._courseFitMessage(level);
 
         const li = document.getElementById('levelIndicator');
-        li.textContent  = `Level ${level.id}: ${level.name}`;
+        li.textContent  = this._levelTitle(level);
         li.style.display = 'block';
     }
 
-    _startTimer() {
-        if (this.gameTimer) clearInterval(this.gameTimer);
-        this.gameTimer = setInterval(() => {
+    _courseFitMessage(level) {
+        const fit = this.courseFit;
+        if (fit && !fit.fits)
+            return `⚠️ Room too small for ${level.name} – rings may touch walls. Try an easier level or a bigger space.`;
+        if (fit && (fit.radiusScale < 1 || fit.heightScale < 1 || fit.baseScale < 1))
+            return `📐 Course fitted to your room (${Math.round(fit.radiusScale * 100)}% size) – ${level.checkpointCount} checkpoints!`;
+        return `${typeof level.id === 'number' ? `Level ${level.id}` : level.name}: Fly through ${level.checkpointCount} checkpoints!`;
+    }
+
+    /**
+     * Advance the level clock by one simulation step. Driven by the
+     * fixed-timestep loop in app.js, so it pauses with the physics.
+     */
+    tick(dt) {
+        if (!this.isFlying) return;
+        this.elapsed      += dt;
+        this._secondTimer += dt;
+
+        while (this._secondTimer >= 1 && this.isFlying) {
+            this._secondTimer -= 1;
             this.timeLeft--;
             document.getElementById('time').textContent = this.timeLeft;
 
@@ -236,7 +641,7 @@ export class GameManager {
 
             if (this.timeLeft <= 0)
                 this.endGame('TIME UP!', 'Out of time!', false);
-        }, 1000);
+        }
     }
 
     /* ======================================================
@@ -244,7 +649,11 @@ export class GameManager {
      * ====================================================== */
 
     checkCheckpoints(planePos) {
-        const level = this.getLevelConfig();
+        const level    = this.getLevelConfig();
+        const ordered  = this._isOrdered();
+        const lastPos  = this._lastPlanePos || planePos;
+        const cpPos    = new THREE.Vector3();
+        const cpQuat   = new THREE.Quaternion();
 
         this.checkpoints.forEach(cp => {
             if (cp.userData.collected) {
@@ -252,42 +661,203 @@ export class GameManager {
                 return;
             }
 
-            const dist = planePos.distanceTo(cp.position);
-            if (dist < level.ringSize + 0.25) {
+            // Rings live in the anchored course group → compare in world space
+            cp.getWorldPosition(cpPos);
+            const ringNorm = new THREE.Vector3(0, 0, 1)
+                .applyQuaternion(cp.getWorldQuaternion(cpQuat));
+
+            if (ordered) {
+                if (cp.userData.index === this.nextCheckpoint &&
+                    this._crossedRing(lastPos, planePos, cpPos, ringNorm, cp.userData.size)) {
+                    this._collectCheckpoint(cp, level);
+                }
+                return;
+            }
+
+            const dist = planePos.distanceTo(cpPos);
+            if (dist < cp.userData.size + 0.25) {
                 const toPlane   = new THREE.Vector3()
-                    .subVectors(planePos, cp.position).normalize();
-                const ringNorm  = new THREE.Vector3(0, 0, 1)
-                    .applyQuaternion(cp.quaternion);
+                    .subVectors(planePos, cpPos).normalize();
                 const dot       = Math.abs(toPlane.dot(ringNorm));
 
-                if (dot > 0.45) {
-                    cp.userData.collected = true;
-                    cp.material.color.setHex(0xffd700);
-                    cp.material.emissive.setHex(0xffd700);
-                    this.checksCollected++;
-
-                    document.getElementById('info').textContent =
-                        this.checksCollected === level.checkpointCount
-                            ? '🏁 All checkpoints! Fly to FINISH!'
-                            : `✅ Checkpoint ${this.checksCollected}/${level.checkpointCount}!`;
-                }
+                if (dot > 0.45) this._collectCheckpoint(cp, level);
             }
         });
+
+        if (!this._lastPlanePos) this._lastPlanePos = new THREE.Vector3();
+        this._lastPlanePos.copy(planePos);
+    }
+
+    /**
+     * Did the segment a→b pass through the ring disc from its back
+     * side to its front side (along the ring normal)?
+     */
+    _crossedRing(a, b, center, normal, radius) {
+        const d0 = new THREE.Vector3().subVectors(a, center).dot(normal);
+        const d1 = new THREE.Vector3().subVectors(b, center).dot(normal);
+        if (!(d0 < 0 && d1 >= 0)) return false;
+
+        const t   = d0 / (d0 - d1);
+        const hit = new THREE.Vector3().lerpVectors(a, b, t);
+        return hit.distanceTo(center) < radius + 0.1;
+    }
+
+    _collectCheckpoint(cp, level) {
+        cp.userData.collected = true;
+        cp.material.color.setHex(0xffd700);
+        cp.material.emissive.setHex(0xffd700);
+        cp.material.emissiveIntensity = 0.5;
+        cp.material.opacity           = 0.9;
+        this.checksCollected++;
+
+        if (this._isOrdered()) {
+            this.nextCheckpoint++;
+            this._refreshRingStates();
+        }
+
+        if (this.onCheckpoint)
+            this.onCheckpoint(cp.userData.index, cp.getWorldPosition(new THREE.Vector3()));
+
+        document.getElementById('info').textContent =
+            this.checksCollected === level.checkpointCount
+                ? (isLandingLevel(level)
+                    ? '🛬 All checkpoints! Land on the pad!'
+                    : '🏁 All checkpoints! Fly to FINISH!')
+                : `✅ Checkpoint ${this.checksCollected}/${level.checkpointCount}!`;
     }
 
-    checkFinish(planePos) {
+    /**
+     * Point the arrow (and HUD readout) at the active ring – or the
+     * nearest open ring in free mode, or the finish once all are done.
+     * @param {THREE.Vector3} planePos – rendered plane position
+     */
+    updatePointer(planePos) {
+        const hudEl = document.getElementById('nextRing');
+        if (!this.isFlying) {
+            this.pointer.visible = false;
+            return;
+        }
+
+        const target = new THREE.Vector3();
+        let label;
+        const open = this.checkpoints.filter(cp => !cp.userData.collected);
+
+        if (open.length === 0) {
+            if (!this.finishFlag) return;
+            this.finishFlag.getWorldPosition(target);
+            label = isLandingLevel(this.getLevelConfig()) ? '🛬 PAD' : '🏁 FINISH';
+        } else {
+            let cp;
+            if (this._isOrdered()) {
+                cp = open.find(c => c.userData.index === this.nextCheckpoint) || open[0];
+            } else {
+                let best = Infinity;
+                const p  = new THREE.Vector3();
+                open.forEach(c => {
+                    const d = c.getWorldPosition(p).distanceTo(planePos);
+                    if (d < best) { best = d; cp = c; }
+                });
+            }
+            cp.getWorldPosition(target);
+            label = `🎯 NEXT: #${cp.userData.index + 1}`;
+        }
+
+        const dir = target.clone().sub(planePos);
+        const dist = dir.length();
+        if (dist > 1e-3) {
+            this.pointer.position.copy(planePos).add(new THREE.Vector3(0, 0.45, 0));
+            this.pointer.quaternion.setFromUnitVectors(
+                new THREE.Vector3(0, 1, 0), dir.normalize()
+            );
+            this.pointer.visible = true;
+        }
+
+        if (hudEl) hudEl.textContent = `${label} · ${dist.toFixed(1)}m`;
+    }
+
+    /**
+     * Score a touchdown on a landing level (once every ring is done).
+     * @param {THREE.Vector3} planePos
+     * @param {THREE.Quaternion} planeQuat
+     * @param {number} sinkRate    – m/s at contact
+     * @param {number} maxSinkRate – the aircraft's limit
+     * @returns {Object|null} the score (see scoreTouchdown)
+     */
+    recordTouchdown(planePos, planeQuat, sinkRate, maxSinkRate) {
+        const level = this.getLevelConfig();
+        if (!this.isFlying || !isLandingLevel(level) || !this.finishFlag) return null;
+        if (this.checksCollected < level.checkpointCount) return null;
+
+        // Course-local, like the pad
+        const pos  = new THREE.Vector3();
+        const quat = new THREE.Quaternion();
+        this.worldToCourse(planePos, planeQuat, pos, quat);
+        const fwd  = new THREE.Vector3(0, 0, -1).applyQuaternion(quat);
+
+        const pad = this.finishFlag;
+        this.touchdowns++;
+        this.landing = scoreTouchdown(
+            { position: pos, heading: Math.atan2(fwd.x, fwd.z), sinkRate, maxSinkRate },
+            { position: pad.position, heading: pad.userData.heading, size: pad.userData.size }
+        );
+
+        const l = this.landing;
+        document.getElementById('info').textContent = l.onPad
+            ? `🛬 ${l.points} pts – sink ${sinkRate.toFixed(2)} m/s, ` +
+              `${Math.abs(l.offset).toFixed(2)} m off centre`
+            : '🛬 Touchdown off the pad!';
+        return l;
+    }
+
+    /**
+     * @param {THREE.Vector3} planePos
+     * @param {{ onGround: boolean, groundSpeed: number }} [plane] – physics
+     *        state, needed for landing-pad finishes
+     */
+    checkFinish(planePos, plane = {}) {
         const level = this.getLevelConfig();
         if (this.checksCollected < level.checkpointCount) return false;
         if (!this.finishFlag) return false;
 
-        if (planePos.distanceTo(this.finishFlag.position) < 3) {
-            markLevelCompleted(level.id);
+        if (isLandingLevel(level)) return this._checkLanded(level, planePos, plane);
+
+        const finishPos = this.finishFlag.getWorldPosition(new THREE.Vector3());
+        if (planePos.distanceTo(finishPos) < 3) {
+            this.lastStars   = computeStars(level, this.timeLeft);
+            this._lastResult = recordCompletion(level.id, {
+                time: this.elapsed, stars: this.lastStars,
+            });
             this.endGame('LEVEL COMPLETE!', `${level.name} cleared!`, true);
             return true;
         }
         return false;
     }
 
+    /** Landing levels end once the plane has rolled to a stop. */
+    _checkLanded(level, planePos, plane) {
+        if (!this.landing || !plane.onGround || plane.groundSpeed >= PAD_STOP_SPEED) return false;
+
+        const padPos = this.finishFlag.getWorldPosition(new THREE.Vector3());
+        const onPad  = Math.hypot(planePos.x - padPos.x, planePos.z - padPos.z) <
+                       this.finishFlag.userData.size;
+        if (!this.landing.onPad || !onPad) {
+            recordCrash(level.id);
+            this.endGame('MISSED THE PAD', 'Touch down and stop on the pad', false);
+            return true;
+        }
+
+        const points     = landingPoints(this.landing, this.touchdowns);
+        const bounces    = this.touchdowns - 1;
+        this.lastStars   = landingStars(points);
+        this._lastResult = recordCompletion(level.id, {
+            time: this.elapsed, stars: this.lastStars,
+        });
+        this.endGame('LANDED!',
+            `Landing score ${points}/100` + (bounces > 0 ? ` (${bounces} bounce${bounces > 1 ? 's' : ''})` : ''),
+            true);
+        return true;
+    }
+
     animateCheckpoints(dt) {
         this.checkpoints.forEach(cp => {
             if (!cp.userData.collected) {
@@ -302,27 +872,56 @@ export class GameManager {
      *  HUD
      * ====================================================== */
 
-    updateHUD(speed, altitude) {
-        document.getElementById('speed').textContent  = Math.round(speed * 15);
+    /**
+     * @param {number} airspeed    – m/s
+     * @param {number} groundSpeed – m/s
+     * @param {number} altitude    – radar altitude (m), above whatever is under the plane
+     * @param {number} fuel        – 0 … 1
+     * @param {number|null} [health] – hull left 0 … 1, null on one-hit levels
+     */
+    updateHUD(airspeed, groundSpeed, altitude, fuel, health = null) {
+        document.getElementById('speed').textContent  = Math.round(airspeed * 15);
+        document.getElementById('gspeed').textContent = Math.round(groundSpeed * 15);
         document.getElementById('alt').textContent    = altitude.toFixed(1);
+        document.getElementById('fuel').textContent   = Math.ceil(fuel * 100);
         document.getElementById('checks').textContent = this.checksCollected;
+        if (health !== null) this._setHealthBar(health);
+    }
+
+    _setHealthBar(health) {
+        const fill = document.getElementById('healthFill');
+        fill.style.width      = `${Math.round(health * 100)}%`;
+        fill.style.background = health > 0.6 ? '#0f0' : health > 0.3 ? '#ffa500' : '#f33';
     }
 
     _updateHUD() {
         const level = this.getLevelConfig();
         document.getElementById('time').textContent   = level ? level.timeLimit : 0;
         document.getElementById('checks').textContent = '0';
+        document.getElementById('nextRing').textContent = '';
         document.getElementById('speed').textContent  = '0';
+        document.getElementById('gspeed').textContent = '0';
         document.getElementById('alt').textContent    = '0.0';
+        document.getElementById('fuel').textContent   = '100';
+        document.getElementById('healthRow').style.display = level?.health ? '' : 'none';
+        this._setHealthBar(1);
     }
 
     /* ======================================================
      *  END / RESET
      * ====================================================== */
 
-    endGame(title, msg, win) {
+    /** End the run as a crash (counted in the save data). */
+    /** @param {THREE.Vector3} [point] – where it hit (world), for the effects */
+    crash(msg, point = null) {
+        if (!this.isFlying) return;
+        recordCrash(this.getLevelConfig().id);
+        this.endGame('CRASHED!', msg, false, point);
+    }
+
+    endGame(title, msg, win, impact = null) {
         this.isFlying = false;
-        if (this.gameTimer) clearInterval(this.gameTimer);
+        this.pointer.visible = false;
 
         const level    = this.getLevelConfig();
         const gameOver = document.getElementById('gameOver');
@@ -336,10 +935,22 @@ export class GameManager {
         document.getElementById('finalTime').textContent       = this.timeLeft;
         document.getElementById('finalLevel').textContent      = level.name;
 
+        // Star rating + best time (wins only)
+        document.getElementById('starsRow').style.display    = win ? 'block' : 'none';
+        document.getElementById('bestTimeRow').style.display = win ? 'block' : 'none';
+        if (win) {
+            const result = this._lastResult || {};
+            const record = getLevelRecord(level.id);
+            document.getElementById('finalStars').textContent =
+                formatStars(this.lastStars) + (result.newBestStars ? '  NEW BEST!' : '');
+            document.getElementById('bestTime').textContent =
+                record.bestTime.toFixed(2) + (result.newBestTime ? '  NEW RECORD!' : '');
+        }
+
         const nextBtn = document.getElementById('nextLevelBtn');
         if (nextBtn)
             nextBtn.style.display =
-                (win && this.currentLevel < LEVELS.length - 1)
+                (win && this.currentLevel < this.levels.length - 1)
                     ? 'inline-block' : 'none';
 
         gameOver.style.display = 'block';
@@ -353,28 +964,21 @@ export class GameManager {
             }
         }
 
-        if (this.onGameEnd) this.onGameEnd(win);
+        if (this.onGameEnd) this.onGameEnd(win, impact);
     }
 
     resetGame() {
         this.isFlying = false;
         this.isPlaced = false;
         this.checksCollected = 0;
+        this.nextCheckpoint  = 0;
+        this._lastPlanePos   = null;
+        this.pointer.visible = false;
         this.timeLeft = 0;
-        if (this.gameTimer) clearInterval(this.gameTimer);
+        this.elapsed  = 0;
 
         // Clean scene objects
-        this.checkpoints.forEach(cp => {
-            this.scene.remove(cp);
-            cp.traverse(child => {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) {
-                    if (child.material.map) child.material.map.dispose();
-                    child.material.dispose();
-                }
-            });
-        });
-        this.checkpoints = [];
+        this._clearCheckpoints();
         if (this.finishFlag) this.finishFlag.visible = false;
 
         // UI
@@ -393,7 +997,7 @@ export class GameManager {
     }
 
     nextLevel() {
-        if (this.currentLevel < LEVELS.length - 1) this.currentLevel++;
+        if (this.currentLevel < this.levels.length - 1) this.currentLevel++;
         this.resetGame();
     }
 }
@@ -0,0 +1,83 @@
+// ============================================================
+// Landing – touchdown scoring for landing challenge levels
+//
+// A level marks itself as a landing challenge with a pad finish:
+//   finish: { type: 'pad', position: { x, y, z }, size, heading }
+// (course-local; heading = landing direction, 0 = towards +Z).
+//
+// Every touchdown the physics accepted (see PhysicsEngine
+// _groundContact) is scored against the pad, 100 points total:
+//   sink rate  – 35  full marks at or below PERFECT_SINK
+//   centreline – 25  sideways offset from the pad's axis
+//   distance   – 25  how far along the axis from the pad centre
+//   alignment  – 15  heading vs. the landing direction
+// Each bounce before the plane settles costs BOUNCE_PENALTY.
+// ============================================================
+import * as THREE from 'three';
+
+export const LANDING_STARS = [85, 60, 30];   // points for 3 / 2 / 1 ★
+
+const PERFECT_SINK    = 0.3;           // m/s
+const MAX_ALIGN_ERROR = Math.PI / 4;   // rad – no alignment points beyond
+const BOUNCE_PENALTY  = 10;
+
+/** True when the level ends with a scored landing on a pad. */
+export function isLandingLevel(level) {
+    return level?.finish?.type === 'pad';
+}
+
+/**
+ * @param {Object} touchdown – course-local
+ * @param {{x:number, z:number}} touchdown.position
+ * @param {number} touchdown.heading     – yaw of the nose (0 = +Z)
+ * @param {number} touchdown.sinkRate    – m/s
+ * @param {number} touchdown.maxSinkRate – the aircraft's limit
+ * @param {{ position: {x:number, z:number}, heading: number, size: number }} pad
+ * @returns {{ points: number, sink: number, centreline: number, distance: number,
+ *             alignment: number, offset: number, along: number, onPad: boolean }}
+ */
+export function scoreTouchdown(touchdown, pad) {
+    const dx  = touchdown.position.x - pad.position.x;
+    const dz  = touchdown.position.z - pad.position.z;
+    const sin = Math.sin(pad.heading);
+    const cos = Math.cos(pad.heading);
+
+    const along  = dx * sin + dz * cos;    // + = past the centre
+    const offset = dx * cos - dz * sin;    // sideways from the axis
+    const alignError = Math.abs(wrapAngle(touchdown.heading - pad.heading));
+
+    const sinkSpan   = Math.max(0.1, touchdown.maxSinkRate - PERFECT_SINK);
+    const sink       = clamp01(1 - (touchdown.sinkRate - PERFECT_SINK) / sinkSpan);
+    const centreline = clamp01(1 - Math.abs(offset) / pad.size);
+    const distance   = clamp01(1 - Math.abs(along) / pad.size);
+    const alignment  = clamp01(1 - alignError / MAX_ALIGN_ERROR);
+
+    return {
+        points: Math.round(35 * sink + 25 * centreline + 25 * distance + 15 * alignment),
+        sink, centreline, distance, alignment,
+        offset, along,
+        onPad: Math.hypot(dx, dz) <= pad.size,
+    };
+}
+
+/** Final points for a landing that took `touchdowns` contacts to settle. */
+export function landingPoints(score, touchdowns) {
+    return Math.max(0, score.points - BOUNCE_PENALTY * Math.max(0, touchdowns - 1));
+}
+
+/** Star rating (0–3) for landing points. */
+export function landingStars(points) {
+    const [three, two, one] = LANDING_STARS;
+    if (points >= three) return 3;
+    if (points >= two)   return 2;
+    if (points >= one)   return 1;
+    return 0;
+}
+
+function clamp01(v) {
+    return THREE.MathUtils.clamp(v, 0, 1);
+}
+
+function wrapAngle(a) {
+    return Math.atan2(Math.sin(a), Math.cos(a));
+}
@@ -0,0 +1,67 @@
+// ============================================================
+// Launch Check – does a hands-off air launch still fly?
+//
+// Every aircraft is hand-launched in calm air at launchSpeed and
+// left alone at the rest throttle in the realistic flight model;
+// after CHECK_TIME s it must not have met the floor and must still
+// be clear of it. Guards the trim / stability tuning in physics.js
+// and aircraft.js.
+//
+// Runs in the browser (open the game with ?launchcheck, results go
+// to the console) or from Node with three resolvable.
+// ============================================================
+import * as THREE from 'three';
+import { PhysicsEngine } from './physics.js';
+import { AIRCRAFT } from './aircraft.js';
+import { REST_THROTTLE } from './controls.js';
+
+const FIXED_DT     = 1 / 60;   // s – the app's physics step
+const CHECK_TIME   = 4;        // s hands-off
+const LAUNCH_Y     = 1.2;      // m above the floor – a hand launch
+const MIN_CLEARING = 0.3;      // m above the wheels at the end
+
+/**
+ * @param {Object} [opts]
+ * @param {number} [opts.seconds]
+ * @returns {{ aircraft: string, ok: boolean, ground: string|null,
+ *             time: number, minHeight: number, height: number,
+ *             airspeed: number }[]}
+ */
+export function runLaunchCheck({ seconds = CHECK_TIME } = {}) {
+    return AIRCRAFT.map((aircraft) => {
+        const physics = new PhysicsEngine();
+        physics.configure(aircraft.physics);
+        physics.setFlightModel('realistic');
+        physics.groundLevel = 0;
+
+        const position   = new THREE.Vector3(0, LAUNCH_Y, 0);
+        const quaternion = new THREE.Quaternion();
+        const controls   = { throttle: REST_THROTTLE, pitch: 0, roll: 0, yaw: 0 };
+        physics.setInitialVelocity(new THREE.Vector3(0, 0, -1), physics.launchSpeed, position);
+
+        const steps   = Math.round(seconds / FIXED_DT);
+        let ground    = null;
+        let minHeight = LAUNCH_Y;
+        let step      = 0;
+        while (step < steps && !ground) {
+            ground    = physics.update(FIXED_DT, controls, position, quaternion, false).ground;
+            minHeight = Math.min(minHeight, position.y - physics.groundLevel);
+            step++;
+        }
+
+        const height = position.y - physics.groundLevel;
+        return {
+            aircraft:  aircraft.id,
+            ok:        !ground && height > physics.gearHeight + MIN_CLEARING,
+            ground,
+            time:      round(step * FIXED_DT),
+            minHeight: round(minHeight),
+            height:    round(height),
+            airspeed:  round(physics.airspeed),
+        };
+    });
+}
+
+function round(v) {
+    return Math.round(v * 100) / 100;
+}
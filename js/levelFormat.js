@@ -0,0 +1,409 @@
+// ============================================================
+// Level Format – JSON level files, validation & loading
+//
+// A level file (version 1):
+//   {
+//     "format":  "arflight-level",
+//     "version": 1,
+//     "id":      "canyon-run",          // letters, digits, - and _
+//     "name":    "Canyon Run",
+//     "description":    "…",            // optional
+//     "checkpointMode": "ordered",      // 'free' | 'ordered' (default)
+//     "timeLimit":      75,             // seconds
+//     "starThresholds": [45, 25, 10],   // optional – seconds left for 3/2/1 ★
+//     "unlock": { "after": 2, "minStars": 1 },   // optional
+//
+//     // Either explicit rings (course-local metres, yaw in degrees,
+//     // 0° = flown through towards +Z) …
+//     "rings": [ { "position": [0, 1.5, -3], "yaw": 180, "size": 0.8 }, … ],
+//     // … or a generated course (shape / seed / difficulty optional,
+//     // see courseGenerator.js – default: the built-in circle)
+//     "course": { "count": 8, "radius": 7, "ringSize": 0.85,
+//                 "baseHeight": 2, "heightVariation": 1.5,
+//                 "shape": "spline", "seed": "team-race", "difficulty": 0.6 },
+//
+//     "fuel":   60,                      // optional – tank size (default: the aircraft's)
+//     "health": 100,                     // optional – hull points: scrapes cost
+//                                        //   health (default: one hit ends the run)
+//     "finish": { "type": "pad",         // optional – 'flag' (default) or 'pad':
+//                 "position": [0, 0, -2], //   a scored landing challenge – touch
+//                 "size": 1,             //   down and stop on a pad on the floor
+//                 "heading": 180 },      //   (landing direction, degrees like yaw)
+//
+//     "wind": {                          // optional, see wind.js
+//       "speed": 1.5, "direction": [1, 0, 0], "turbulence": 0.3,
+//       "zones": [ { "type": "updraft", "center": [2, 0, -4],
+//                    "radius": 1.5, "strength": 2 }, … ]
+//     }
+//   }
+//
+// All-digit ids are reserved for the built-in LEVELS, "daily-…" for the
+// daily challenge – validateLevel rejects both.
+// ============================================================
+import { COURSE_SHAPES } from './courseGenerator.js';
+
+export const LEVEL_FORMAT         = 'arflight-level';
+export const LEVEL_FORMAT_VERSION = 1;
+
+const CHECKPOINT_MODES  = ['free', 'ordered'];
+const WIND_ZONE_TYPES   = ['gust', 'updraft', 'vortex'];
+const FINISH_TYPES      = ['flag', 'pad'];
+const DEFAULT_PAD_SIZE  = 1;
+const ID_PATTERN        = /^[A-Za-z0-9_-]{1,40}$/;
+const BUILTIN_ID        = /^(\d+|daily-.*)$/;   // built-in levels and the daily challenge
+const MAX_RINGS         = 50;
+const DEFAULT_RING_SIZE = 0.8;
+
+/**
+ * Star thresholds scaled from a time limit (roughly the spread of
+ * the built-in levels).
+ */
+export function defaultStarThresholds(timeLimit) {
+    return [0.5, 0.3, 0.1].map((f) => Math.round(timeLimit * f));
+}
+
+/* ======================================================
+ *  Validation
+ * ====================================================== */
+
+/**
+ * Check a parsed level file.
+ * @param {*} data
+ * @returns {string[]} human-readable problems (empty when valid)
+ */
+export function validateLevel(data) {
+    const errors = [];
+    const err = (path, msg) => errors.push(`${path} ${msg}`);
+
+    if (!isObject(data)) return ['level must be a JSON object'];
+
+    if (data.format !== LEVEL_FORMAT)
+        err('format', `must be "${LEVEL_FORMAT}"`);
+    if (!Number.isInteger(data.version) || data.version < 1)
+        err('version', 'must be a positive integer');
+    else if (data.version > LEVEL_FORMAT_VERSION)
+        err('version', `${data.version} is newer than this game supports (${LEVEL_FORMAT_VERSION})`);
+
+    if (typeof data.id !== 'string' || !ID_PATTERN.test(data.id))
+        err('id', 'must be 1–40 letters, digits, "-" or "_"');
+    else if (BUILTIN_ID.test(data.id))
+        err('id', 'cannot be all digits or start with "daily-" (reserved for built-in levels)');
+    if (typeof data.name !== 'string' || !data.name.trim())
+        err('name', 'must be a non-empty string');
+    if (data.description !== undefined && typeof data.description !== 'string')
+        err('description', 'must be a string');
+    if (data.checkpointMode !== undefined && !CHECKPOINT_MODES.includes(data.checkpointMode))
+        err('checkpointMode', `must be one of ${CHECKPOINT_MODES.join(', ')}`);
+
+    const timeOk = isNum(data.timeLimit) && data.timeLimit > 0 && data.timeLimit <= 3600;
+    if (!timeOk) err('timeLimit', 'must be a number of seconds between 1 and 3600');
+
+    if (data.starThresholds !== undefined) {
+        const t = data.starThresholds;
+        if (!Array.isArray(t) || t.length !== 3 || !t.every(isNum))
+            err('starThresholds', 'must be three numbers [3★, 2★, 1★]');
+        else if (!(t[0] >= t[1] && t[1] >= t[2] && t[2] >= 0))
+            err('starThresholds', 'must be descending and not negative');
+        else if (timeOk && t[0] > data.timeLimit)
+            err('starThresholds', 'cannot ask for more seconds than timeLimit');
+    }
+
+    if (data.unlock !== undefined) {
+        const u = data.unlock;
+        if (!isObject(u)) {
+            err('unlock', 'must be an object');
+        } else {
+            const afterOk = u.after === undefined || u.after === null ||
+                (Number.isInteger(u.after) && u.after > 0) ||
+                (typeof u.after === 'string' && ID_PATTERN.test(u.after));
+            if (!afterOk) err('unlock.after', 'must be a level id');
+            if (u.minStars !== undefined) {
+                if (!Number.isInteger(u.minStars) || u.minStars < 0 || u.minStars > 3)
+                    err('unlock.minStars', 'must be an integer 0–3');
+                else if (u.after === undefined || u.after === null)
+                    err('unlock.minStars', 'needs unlock.after');
+            }
+        }
+    }
+
+    // Course: explicit rings xor generated circuit
+    const hasRings  = data.rings !== undefined;
+    const hasCourse = data.course !== undefined;
+    if (hasRings === hasCourse)
+        err('rings', 'or course is required (but not both)');
+
+    if (hasRings) {
+        if (!Array.isArray(data.rings) || data.rings.length === 0 || data.rings.length > MAX_RINGS) {
+            err('rings', `must be an array of 1–${MAX_RINGS} rings`);
+        } else {
+            data.rings.forEach((r, i) => {
+                const path = `rings[${i}]`;
+                if (!isObject(r)) return err(path, 'must be an object');
+                if (!isVec3(r.position)) err(`${path}.position`, 'must be [x, y, z]');
+                if (r.yaw !== undefined && !isNum(r.yaw)) err(`${path}.yaw`, 'must be a number (degrees)');
+                if (r.size !== undefined && !(isNum(r.size) && r.size >= 0.1 && r.size <= 5))
+                    err(`${path}.size`, 'must be a ring radius between 0.1 and 5 m');
+            });
+        }
+    }
+
+    if (hasCourse) {
+        const c = data.course;
+        if (!isObject(c)) {
+            err('course', 'must be an object');
+        } else {
+            if (!Number.isInteger(c.count) || c.count < 1 || c.count > MAX_RINGS)
+                err('course.count', `must be an integer 1–${MAX_RINGS}`);
+            if (!(isNum(c.radius) && c.radius > 0))       err('course.radius', 'must be a positive number');
+            if (!(isNum(c.ringSize) && c.ringSize >= 0.1)) err('course.ringSize', 'must be at least 0.1');
+            if (!isNum(c.baseHeight))                     err('course.baseHeight', 'must be a number');
+            if (!(isNum(c.heightVariation) && c.heightVariation >= 0))
+                err('course.heightVariation', 'must be a number ≥ 0');
+            if (c.shape !== undefined && !COURSE_SHAPES.includes(c.shape))
+                err('course.shape', `must be one of ${COURSE_SHAPES.join(', ')}`);
+            if (c.seed !== undefined && !isNum(c.seed) && typeof c.seed !== 'string')
+                err('course.seed', 'must be a number or string');
+            if (c.difficulty !== undefined && !(isNum(c.difficulty) && c.difficulty >= 0 && c.difficulty <= 1))
+                err('course.difficulty', 'must be between 0 and 1');
+        }
+    }
+
+    if (data.fuel !== undefined && !(isNum(data.fuel) && data.fuel > 0))
+        err('fuel', 'must be a positive number');
+    if (data.health !== undefined && !(isNum(data.health) && data.health > 0 && data.health <= 1000))
+        err('health', 'must be a number between 0 and 1000');
+
+    if (data.finish !== undefined) {
+        const f = data.finish;
+        if (!isObject(f)) {
+            err('finish', 'must be an object');
+        } else {
+            if (!FINISH_TYPES.includes(f.type))
+                err('finish.type', `must be one of ${FINISH_TYPES.join(', ')}`);
+            if (f.type === 'pad' && !isVec3(f.position))
+                err('finish.position', 'must be [x, y, z]');
+            if (f.size !== undefined && !(isNum(f.size) && f.size >= 0.3 && f.size <= 5))
+                err('finish.size', 'must be a pad radius between 0.3 and 5 m');
+            if (f.heading !== undefined && !isNum(f.heading))
+                err('finish.heading', 'must be a number (degrees)');
+        }
+    }
+
+    if (data.wind !== undefined) {
+        const w = data.wind;
+        if (!isObject(w)) {
+            err('wind', 'must be an object');
+        } else {
+            if (w.speed !== undefined && !(isNum(w.speed) && w.speed >= 0))
+                err('wind.speed', 'must be a number ≥ 0');
+            if (w.direction !== undefined && !isVec3(w.direction))
+                err('wind.direction', 'must be [x, y, z]');
+            if (w.turbulence !== undefined && !(isNum(w.turbulence) && w.turbulence >= 0 && w.turbulence <= 1))
+                err('wind.turbulence', 'must be between 0 and 1');
+            if (w.zones !== undefined) {
+                if (!Array.isArray(w.zones)) {
+                    err('wind.zones', 'must be an array');
+                } else {
+                    w.zones.forEach((z, i) => {
+                        const path = `wind.zones[${i}]`;
+                        if (!isObject(z)) return err(path, 'must be an object');
+                        if (!WIND_ZONE_TYPES.includes(z.type))
+                            err(`${path}.type`, `must be one of ${WIND_ZONE_TYPES.join(', ')}`);
+                        if (!isVec3(z.center)) err(`${path}.center`, 'must be [x, y, z]');
+                        if (!(isNum(z.radius) && z.radius > 0)) err(`${path}.radius`, 'must be a positive number');
+                        if (!isNum(z.strength)) err(`${path}.strength`, 'must be a number');
+                        if (z.direction !== undefined && !isVec3(z.direction))
+                            err(`${path}.direction`, 'must be [x, y, z]');
+                    });
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+/* ======================================================
+ *  Conversion
+ * ====================================================== */
+
+/**
+ * Level file → level config (the shape of the LEVELS entries).
+ * @throws {Error} listing every problem when the file is invalid
+ */
+export function levelFromJSON(data) {
+    const errors = validateLevel(data);
+    if (errors.length > 0)
+        throw new Error(`invalid level file:\n • ${errors.join('\n • ')}`);
+
+    const wind   = data.wind   || {};
+    const unlock = data.unlock || {};
+    const level  = {
+        id:                data.id,
+        name:              data.name.trim(),
+        checkpointMode:    data.checkpointMode || 'ordered',
+        timeLimit:         data.timeLimit,
+        windSpeed:         wind.speed ?? 0,
+        windDirection:     wind.direction ? [...wind.direction] : [0, 0, 0],
+        turbulence:        wind.turbulence ?? 0,
+        windZones:         (wind.zones || []).map((z) => ({
+            type:      z.type,
+            position:  { x: z.center[0], y: z.center[1], z: z.center[2] },
+            radius:    z.radius,
+            strength:  z.strength,
+            ...(z.direction ? { direction: [...z.direction] } : {}),
+        })),
+        requiredForUnlock: unlock.after ?? 0,
+        unlockStars:       unlock.minStars ?? 0,
+        starThresholds:    data.starThresholds
+            ? [...data.starThresholds]
+            : defaultStarThresholds(data.timeLimit),
+    };
+
+    if (data.rings) {
+        level.checkpoints = data.rings.map((r) => ({
+            x:    r.position[0],
+            y:    r.position[1],
+            z:    r.position[2],
+            yaw:  ((r.yaw ?? 0) * Math.PI) / 180,
+            size: r.size ?? DEFAULT_RING_SIZE,
+        }));
+        level.checkpointCount = level.checkpoints.length;
+        level.ringSize = level.checkpoints.reduce((a, r) => a + r.size, 0) / level.checkpointCount;
+    } else {
+        level.checkpointCount = data.course.count;
+        level.courseRadius    = data.course.radius;
+        level.ringSize        = data.course.ringSize;
+        level.baseHeight      = data.course.baseHeight;
+        level.heightVariation = data.course.heightVariation;
+        if (data.course.shape !== undefined)      level.courseShape = data.course.shape;
+        if (data.course.seed !== undefined)       level.courseSeed  = data.course.seed;
+        if (data.course.difficulty !== undefined) level.difficulty  = data.course.difficulty;
+    }
+
+    if (data.fuel !== undefined) level.fuel = data.fuel;
+    if (data.health !== undefined) level.health = data.health;
+    if (data.finish?.type === 'pad') {
+        const [x, y, z] = data.finish.position;
+        level.finish = {
+            type:     'pad',
+            position: { x, y, z },
+            size:     data.finish.size ?? DEFAULT_PAD_SIZE,
+            heading:  ((data.finish.heading ?? 0) * Math.PI) / 180,
+        };
+    }
+
+    level.description = data.description || `${level.checkpointCount} checkpoints`;
+    return level;
+}
+
+/** Level config → level file object (inverse of levelFromJSON). */
+export function levelToJSON(level) {
+    const out = {
+        format:         LEVEL_FORMAT,
+        version:        LEVEL_FORMAT_VERSION,
+        id:             String(level.id),
+        name:           level.name,
+        description:    level.description,
+        checkpointMode: level.checkpointMode,
+        timeLimit:      level.timeLimit,
+        starThresholds: [...level.starThresholds],
+    };
+
+    if (level.requiredForUnlock) {
+        out.unlock = { after: level.requiredForUnlock };
+        if (level.unlockStars) out.unlock.minStars = level.unlockStars;
+    }
+
+    if (Array.isArray(level.checkpoints)) {
+        out.rings = level.checkpoints.map((r) => ({
+            position: [r.x, r.y, r.z],
+            yaw:      Math.round(((r.yaw || 0) * 180) / Math.PI * 10) / 10,
+            size:     r.size,
+        }));
+    } else {
+        out.course = {
+            count:           level.checkpointCount,
+            radius:          level.courseRadius,
+            ringSize:        level.ringSize,
+            baseHeight:      level.baseHeight,
+            heightVariation: level.heightVariation,
+        };
+        if (level.courseShape !== undefined) out.course.shape      = level.courseShape;
+        if (level.courseSeed !== undefined)  out.course.seed       = level.courseSeed;
+        if (level.difficulty !== undefined)  out.course.difficulty = level.difficulty;
+    }
+
+    if (level.fuel !== undefined) out.fuel = level.fuel;
+    if (level.health !== undefined) out.health = level.health;
+    if (level.finish?.type === 'pad') {
+        const p = level.finish.position;
+        out.finish = {
+            type:     'pad',
+            position: [p.x, p.y, p.z],
+            size:     level.finish.size,
+            heading:  Math.round(((level.finish.heading || 0) * 180) / Math.PI * 10) / 10,
+        };
+    }
+
+    out.wind = {
+        speed:      level.windSpeed,
+        direction:  [...level.windDirection],
+        turbulence: level.turbulence,
+        zones:      (level.windZones || []).map((z) => ({
+            type:     z.type,
+            center:   [z.position.x, z.position.y, z.position.z],
+            radius:   z.radius,
+            strength: z.strength,
+            ...(z.direction ? { direction: [...z.direction] } : {}),
+        })),
+    };
+    return out;
+}
+
+/* ======================================================
+ *  Loading
+ * ====================================================== */
+
+/**
+ * Parse the text of a `.json` level file.
+ * @throws {Error} on malformed JSON or an invalid level
+ */
+export function parseLevel(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('level file is not valid JSON');
+    }
+    return levelFromJSON(data);
+}
+
+/**
+ * Fetch and parse a level file.
+ * @param {string} url
+ * @throws {Error} prefixed with the url
+ */
+export async function loadLevelFile(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    try {
+        return parseLevel(await res.text());
+    } catch (err) {
+        throw new Error(`${url}: ${err.message}`);
+    }
+}
+
+/* ---------- helpers ---------- */
+
+function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isNum(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+}
+
+function isVec3(v) {
+    return Array.isArray(v) && v.length === 3 && v.every(isNum);
+}
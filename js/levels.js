@@ -1,6 +1,50 @@
 // ============================================================
 // Level definitions for AR Flight Sim
+//
+// checkpointMode: 'free'    – rings in any order, from either side
+//                 'ordered' – only the next numbered ring counts,
+//                             crossed along its facing
+//
+// Custom levels (built in the level editor) carry an explicit
+// `checkpoints` list of course-local rings instead of the
+// generated circuit:  [{ x, y, z, yaw, size }, …]
+//
+// Besides LEVELS, levels come from JSON files (see levelFormat.js):
+// bundled ones listed in levels/index.json, and imported / editor
+// levels kept in localStorage in the same file format.
+//
+// Generated courses may pick a shape, seed and difficulty
+// (courseShape / courseSeed / difficulty, see courseGenerator.js);
+// without them they are the classic jittered circle. A daily
+// challenge level is generated from the current date.
+//
+// Landing challenges end with a scored landing instead of the
+// finish flag: `finish: { type: 'pad', position, size, heading }`
+// (course-local, heading in radians like ring yaw; see landing.js).
+//
+// `health` gives the plane a hull that takes a few scrapes (see
+// damage.js); levels without it stay one-hit.
 // ============================================================
+import { isLevelCompleted, getLevelRecord } from './saveData.js';
+import { deleteBestReplay } from './replay.js';
+import {
+    levelFromJSON,
+    levelToJSON,
+    loadLevelFile,
+    defaultStarThresholds,
+} from './levelFormat.js';
+import {
+    generateCourse,
+    COURSE_SHAPES,
+    mulberry32,
+    toSeed,
+    dailySeedKey,
+} from './courseGenerator.js';
+
+const CUSTOM_LEVELS_KEY = 'arflight_custom_levels';
+const BUNDLED_INDEX     = 'levels/index.json';
+
+let bundledLevels = [];
 
 export const LEVELS = [
     {
@@ -8,6 +52,7 @@ export const LEVELS = [
         name: 'First Flight',
         description: 'Learn the basics — 5 easy checkpoints',
         checkpointCount: 5,
+        checkpointMode: 'free',
         timeLimit: 90,
         courseRadius: 5,
         ringSize: 1.0,
@@ -16,6 +61,7 @@ export const LEVELS = [
         windSpeed: 0,
         windDirection: [0, 0, 0],
         turbulence: 0,
+        health: 100,
         requiredForUnlock: 0,
         starThresholds: [80, 50, 20],
     },
@@ -24,6 +70,7 @@ export const LEVELS = [
         name: 'Sky Rider',
         description: 'Higher and faster — 8 checkpoints',
         checkpointCount: 8,
+        checkpointMode: 'free',
         timeLimit: 80,
         courseRadius: 7,
         ringSize: 0.85,
@@ -32,6 +79,7 @@ export const LEVELS = [
         windSpeed: 0.5,
         windDirection: [1, 0, 0],
         turbulence: 0.1,
+        health: 100,
         requiredForUnlock: 1,
         starThresholds: [70, 40, 15],
     },
@@ -40,6 +88,7 @@ export const LEVELS = [
         name: 'Wind Walker',
         description: 'Battle the wind — 10 checkpoints',
         checkpointCount: 10,
+        checkpointMode: 'ordered',
         timeLimit: 70,
         courseRadius: 8,
         ringSize: 0.75,
@@ -48,6 +97,7 @@ export const LEVELS = [
         windSpeed: 1.5,
         windDirection: [0.7, 0.2, 0.7],
         turbulence: 0.3,
+        health: 60,
         requiredForUnlock: 2,
         starThresholds: [60, 30, 10],
     },
@@ -56,6 +106,7 @@ export const LEVELS = [
         name: 'Ace Pilot',
         description: 'Tight rings, strong gusts — 12 checkpoints',
         checkpointCount: 12,
+        checkpointMode: 'ordered',
         timeLimit: 65,
         courseRadius: 9,
         ringSize: 0.6,
@@ -72,6 +123,7 @@ export const LEVELS = [
         name: 'Top Gun',
         description: 'The ultimate challenge — 15 checkpoints',
         checkpointCount: 15,
+        checkpointMode: 'ordered',
         timeLimit: 60,
         courseRadius: 10,
         ringSize: 0.5,
@@ -83,47 +135,217 @@ export const LEVELS = [
         requiredForUnlock: 4,
         starThresholds: [50, 20, 5],
     },
+    {
+        id: 6,
+        name: 'Touchdown',
+        description: 'Take off, clear the gate, land on the pad ahead',
+        checkpointCount: 1,
+        checkpointMode: 'ordered',
+        timeLimit: 60,
+        ringSize: 1.0,
+        checkpoints: [
+            { x: 0, y: 1.4, z: -5, yaw: Math.PI, size: 1.0 },
+        ],
+        finish: { type: 'pad', position: { x: 0, y: 0, z: -9.5 }, size: 1.2, heading: Math.PI },
+        windSpeed: 0,
+        windDirection: [0, 0, 0],
+        turbulence: 0,
+        health: 100,
+        requiredForUnlock: 1,
+        starThresholds: [40, 25, 10],
+    },
+    {
+        id: 7,
+        name: 'Circuit',
+        description: 'Fly the pattern and land back where you started',
+        checkpointCount: 4,
+        checkpointMode: 'ordered',
+        timeLimit: 90,
+        ringSize: 0.9,
+        checkpoints: [
+            { x:  0, y: 1.8, z: -6,  yaw: Math.PI,      size: 0.9 },   // upwind
+            { x: -4, y: 2.2, z: -8,  yaw: -Math.PI / 2, size: 0.9 },   // crosswind
+            { x: -8, y: 2.2, z: -2,  yaw: 0,            size: 0.9 },   // downwind
+            { x: -4, y: 1.5, z: 3.5, yaw: Math.PI / 2,  size: 0.9 },   // base
+        ],
+        finish: { type: 'pad', position: { x: 0, y: 0, z: -3 }, size: 1.5, heading: Math.PI },
+        windSpeed: 0.4,
+        windDirection: [0, 0, 1],
+        turbulence: 0.1,
+        health: 60,
+        requiredForUnlock: 6,
+        starThresholds: [60, 35, 15],
+    },
 ];
 
 /**
- * Get all levels with their unlock status.
+ * Get all levels (built-in, today's daily, bundled, then custom) with
+ * their unlock status, derived from the save data.
  */
 export function getUnlockedLevels() {
-    const completed = parseInt(localStorage.getItem('arflight_completed') || '0');
-    return LEVELS.map((level, i) => ({
+    const all = [...LEVELS, createDailyLevel(), ...bundledLevels, ...loadCustomLevels()];
+    return all.map((level) => ({
         ...level,
-        unlocked: i <= completed,
+        unlocked: isUnlocked(level),
     }));
 }
 
+/** Unlocked when its `requiredForUnlock` level is cleared (with enough stars). */
+function isUnlocked(level) {
+    const req = level.requiredForUnlock;
+    if (!req) return true;
+    if (!isLevelCompleted(req)) return false;
+    return !level.unlockStars || getLevelRecord(req).bestStars >= level.unlockStars;
+}
+
+/* ---------- daily challenge ---------- */
+
 /**
- * Mark a level as completed and unlock the next one.
+ * Today's generated course – every player gets the same one for
+ * the same (UTC) date.
  */
-export function markLevelCompleted(levelId) {
-    const current = parseInt(localStorage.getItem('arflight_completed') || '0');
-    if (levelId > current) {
-        localStorage.setItem('arflight_completed', levelId.toString());
+export function createDailyLevel(date = new Date()) {
+    const key = dailySeedKey(date);
+    const rng = mulberry32(toSeed(`daily:${key}`));
+
+    const shapes     = COURSE_SHAPES.filter((s) => s !== 'circle');
+    const shape      = shapes[Math.floor(rng() * shapes.length)];
+    const count      = 8 + Math.floor(rng() * 5);
+    const radius     = Math.round((6 + rng() * 3) * 10) / 10;
+    const difficulty = Math.round((0.3 + rng() * 0.5) * 100) / 100;
+    const windAngle  = rng() * Math.PI * 2;
+
+    const level = {
+        id:              `daily-${key}`,
+        name:            `Daily ${key}`,
+        description:     `Today's ${shape} course — the same for everyone`,
+        daily:           true,
+        checkpointCount: count,
+        checkpointMode:  'ordered',
+        courseShape:     shape,
+        courseSeed:      key,
+        difficulty,
+        courseRadius:    radius,
+        ringSize:        0.75,
+        baseHeight:      2.0,
+        heightVariation: 1.2,
+        windSpeed:       Math.round(rng() * 15) / 10,
+        windDirection:   [Math.cos(windAngle), 0, Math.sin(windAngle)],
+        turbulence:      Math.round(rng() * 3) / 10,
+        requiredForUnlock: 0,
+    };
+
+    // Time limit from the flown distance: spawn → rings → home
+    const path = [{ x: 0, y: 1, z: 0 }, ...generateCheckpointPositions(level), { x: 0, y: 1, z: 0 }];
+    let length = 0;
+    for (let i = 1; i < path.length; i++) {
+        length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y, path[i].z - path[i - 1].z);
     }
+    level.timeLimit      = Math.ceil((length / 2 + 25) / 5) * 5;
+    level.starThresholds = defaultStarThresholds(level.timeLimit);
+    return level;
 }
 
+/* ---------- bundled level files ---------- */
+
 /**
- * Generate checkpoint positions for a given level config.
+ * Load the level files listed in levels/index.json
+ * (`{ "levels": ["file.json", …] }`). Broken files are skipped.
+ * @returns {Promise<Object[]>} the loaded levels
  */
-export function generateCheckpointPositions(level) {
-    const positions = [];
-    const { checkpointCount, courseRadius, baseHeight, heightVariation } = level;
-
-    for (let i = 0; i < checkpointCount; i++) {
-        const angle = (i / checkpointCount) * Math.PI * 2;
-        const radiusJitter = courseRadius + Math.sin(i * 1.3) * (courseRadius * 0.2);
-
-        positions.push({
-            x: Math.cos(angle) * radiusJitter,
-            y: baseHeight + Math.sin(i * 0.7 + 0.5) * heightVariation,
-            z: Math.sin(angle) * radiusJitter,
-            nextAngle: ((i + 1) / checkpointCount) * Math.PI * 2,
+export async function loadBundledLevels(indexUrl = BUNDLED_INDEX) {
+    try {
+        const res = await fetch(indexUrl);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const index = await res.json();
+        const base  = new URL(indexUrl, window.location.href);
+
+        const results = await Promise.allSettled(
+            (index.levels || []).map((file) => loadLevelFile(new URL(file, base).href))
+        );
+        bundledLevels = [];
+        results.forEach((r) => {
+            if (r.status === 'fulfilled') bundledLevels.push({ ...r.value, bundled: true });
+            else console.warn('⚠️ Bundled level skipped –', r.reason.message);
         });
+    } catch (err) {
+        console.warn('⚠️ No bundled levels loaded.', err?.message || '');
     }
+    return bundledLevels;
+}
+
+/** Is `id` taken by a built-in or bundled level? */
+export function isReservedLevelId(id) {
+    const key = String(id);
+    return LEVELS.some((l) => String(l.id) === key) || bundledLevels.some((l) => String(l.id) === key);
+}
+
+/* ---------- custom levels (editor / imported files) ---------- */
+
+function readCustomFiles() {
+    try {
+        const list = JSON.parse(localStorage.getItem(CUSTOM_LEVELS_KEY) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch {
+        console.warn('⚠️ Custom levels unreadable – ignoring.');
+        return [];
+    }
+}
+
+export function loadCustomLevels() {
+    const levels = [];
+    readCustomFiles().forEach((file) => {
+        try {
+            levels.push({ ...levelFromJSON(file), custom: true });
+        } catch (err) {
+            console.warn('⚠️ Custom level skipped –', err.message);
+        }
+    });
+    return levels;
+}
+
+/** Insert or replace (by id) a custom level, stored as a level file. */
+export function saveCustomLevel(level) {
+    const list = readCustomFiles().filter((f) => String(f.id) !== String(level.id));
+    list.push(levelToJSON(level));
+    localStorage.setItem(CUSTOM_LEVELS_KEY, JSON.stringify(list));
+}
+
+/** Remove a custom level and its stored ghost. */
+export function deleteCustomLevel(id) {
+    const list = readCustomFiles().filter((f) => String(f.id) !== String(id));
+    localStorage.setItem(CUSTOM_LEVELS_KEY, JSON.stringify(list));
+    deleteBestReplay(id);
+}
+
+/**
+ * Star rating (0–3) for a completed run. `starThresholds` holds the
+ * seconds that must be left on the clock for 3, 2 and 1 star(s).
+ */
+export function computeStars(level, timeLeft) {
+    const [three, two, one] = level.starThresholds;
+    if (timeLeft >= three) return 3;
+    if (timeLeft >= two)   return 2;
+    if (timeLeft >= one)   return 1;
+    return 0;
+}
+
+/**
+ * Generate checkpoint positions for a given level config
+ * (or copy the explicit rings of a custom level).
+ */
+export function generateCheckpointPositions(level) {
+    if (Array.isArray(level.checkpoints))
+        return level.checkpoints.map((cp) => ({ ...cp }));
 
-    return positions;
+    return generateCourse({
+        shape:           level.courseShape,
+        seed:            level.courseSeed,
+        difficulty:      level.difficulty,
+        count:           level.checkpointCount,
+        radius:          level.courseRadius,
+        baseHeight:      level.baseHeight,
+        heightVariation: level.heightVariation,
+        ringSize:        level.ringSize,
+    }).positions;
 }
@@ -1,12 +1,36 @@
 // ============================================================
 // Real-World Occlusion & Collision System
 //
-// Uses WebXR plane-detection to discover real-world surfaces.
-// Creates "occluder" meshes that write ONLY to the depth buffer
-// (colorWrite: false) so virtual objects behind them are hidden.
-// Also provides collision queries against those surfaces.
+// Uses WebXR plane-detection to discover real-world surfaces, and
+// mesh-detection (where the runtime has it) for the 3D shape of
+// sofas, chairs and the like. Creates "occluder" meshes that write
+// ONLY to the depth buffer (colorWrite: false) so virtual objects
+// behind them are hidden. Also provides collision queries against
+// those surfaces and meshes.
+//
+// Where the device offers depth-sensing, DepthOcclusion adds
+// per-pixel occlusion and collision with non-planar objects on top
+// of the planes (see depthOcclusion.js).
 // ============================================================
 import * as THREE from 'three';
+import { DepthOcclusion } from './depthOcclusion.js';
+import { OccluderIndex } from './spatialIndex.js';
+
+const SWEEP_SKIN = 0.05;   // m – surfaces this close ahead already count
+const UP_LIMIT   = 0.7;    // normal.y beyond which a surface faces up / down
+
+// Semantic labels (planes and meshes) that name a surface type
+const LABEL_SURFACES = {
+    floor: 'floor', wall: 'wall', ceiling: 'ceiling',
+    table: 'table', desk: 'table',
+};
+
+// Box corner i has max x / y / z where bit 0 / 1 / 2 is set;
+// an edge joins two corners that differ in one bit
+const BOX_EDGES = [];
+for (let i = 0; i < 8; i++) {
+    for (const bit of [1, 2, 4]) if (!(i & bit)) BOX_EDGES.push([i, i | bit]);
+}
 
 export class OcclusionSystem {
     constructor(scene, renderer) {
@@ -16,6 +40,17 @@ export class OcclusionSystem {
         // Map: XRPlane → THREE.Mesh
         this.trackedPlanes = new Map();
 
+        // Map: XRMesh → THREE.Mesh
+        this.trackedMeshes = new Map();
+
+        // Fixed, collision-only surfaces (see setStaticSurfaces)
+        this.staticMeshes = [];
+
+        // BVHs over the occluders for collision queries – rebuilt
+        // per occluder only when its geometry changes
+        this.index = new OccluderIndex();
+        this._ray  = new THREE.Ray();
+
         // Container rendered BEFORE virtual objects (renderOrder = -1)
         this.occluderGroup = new THREE.Group();
         this.occluderGroup.renderOrder = -1;
@@ -39,6 +74,11 @@ export class OcclusionSystem {
 
         this.planeDetectionSupported = false;
         this.detectedPlaneCount      = 0;
+        this.meshDetectionSupported  = false;
+        this.detectedMeshCount       = 0;
+
+        // Per-pixel depth (when the session grants depth-sensing)
+        this.depth = new DepthOcclusion(scene, renderer);
     }
 
     /* --------------------------------------------------
@@ -50,9 +90,21 @@ export class OcclusionSystem {
         const refSpace = this.renderer.xr.getReferenceSpace();
         if (!refSpace) return;
 
-        // `detectedPlanes` is a Set<XRPlane> provided by the UA
-        if (frame.detectedPlanes === undefined) return;
+        this.depth.update(frame, refSpace);
+        if (frame.detectedPlanes !== undefined) this._updatePlanes(frame, refSpace);
+        if (frame.detectedMeshes !== undefined) this._updateMeshes(frame, refSpace);
 
+        // HUD
+        const el = document.getElementById('occlusionInfo');
+        if (el) {
+            el.textContent = `🧱 Surfaces: ${this.detectedPlaneCount}` +
+                (this.meshDetectionSupported ? ` · 🛋️ Objects: ${this.detectedMeshCount}` : '') +
+                (this.depth.active ? ' · 👁️ Depth' : '');
+        }
+    }
+
+    _updatePlanes(frame, refSpace) {
+        // `detectedPlanes` is a Set<XRPlane> provided by the UA
         this.planeDetectionSupported = true;
         const currentPlanes = frame.detectedPlanes;
         this.detectedPlaneCount = currentPlanes.size;
@@ -61,6 +113,7 @@ export class OcclusionSystem {
         for (const [xrPlane, mesh] of this.trackedPlanes) {
             if (!currentPlanes.has(xrPlane)) {
                 this.occluderGroup.remove(mesh);
+                this.index.delete(mesh);
                 mesh.geometry.dispose();
                 this.trackedPlanes.delete(xrPlane);
             }
@@ -84,6 +137,8 @@ export class OcclusionSystem {
                         mesh.geometry.dispose();
                         mesh.geometry = newGeo;
                         mesh.userData.lastChanged = xrPlane.lastChangedTime;
+                        mesh.userData.polygon     = this._copyPolygon(xrPlane.polygon);
+                        this.index.set(mesh);
                     }
                 }
             } else {
@@ -102,15 +157,77 @@ export class OcclusionSystem {
                 mesh.renderOrder             = -1;
                 mesh.userData.lastChanged    = xrPlane.lastChangedTime;
                 mesh.userData.orientation     = xrPlane.orientation; // 'horizontal' | 'vertical'
+                mesh.userData.polygon         = this._copyPolygon(xrPlane.polygon);
+                mesh.userData.semanticLabel   = xrPlane.semanticLabel; // where the UA labels planes
+                mesh.userData.source          = 'plane';
 
                 this.occluderGroup.add(mesh);
                 this.trackedPlanes.set(xrPlane, mesh);
+                this.index.set(mesh);
             }
         }
+    }
 
-        // HUD
-        const el = document.getElementById('occlusionInfo');
-        if (el) el.textContent = `🧱 Surfaces: ${this.detectedPlaneCount}`;
+    _updateMeshes(frame, refSpace) {
+        // `detectedMeshes` is a Set<XRMesh> provided by the UA
+        this.meshDetectionSupported = true;
+        const currentMeshes = frame.detectedMeshes;
+        this.detectedMeshCount = currentMeshes.size;
+
+        // ---- Remove stale meshes ----
+        for (const [xrMesh, mesh] of this.trackedMeshes) {
+            if (!currentMeshes.has(xrMesh)) {
+                this.occluderGroup.remove(mesh);
+                this.index.delete(mesh);
+                mesh.geometry.dispose();
+                this.trackedMeshes.delete(xrMesh);
+            }
+        }
+
+        // ---- Add / update tracked meshes ----
+        for (const xrMesh of currentMeshes) {
+            const pose = frame.getPose(xrMesh.meshSpace, refSpace);
+            if (!pose) continue;
+
+            if (this.trackedMeshes.has(xrMesh)) {
+                // Update transform
+                const mesh = this.trackedMeshes.get(xrMesh);
+                mesh.matrix.fromArray(pose.transform.matrix);
+                mesh.matrixWorldNeedsUpdate = true;
+
+                // Rebuild geometry if the mesh changed
+                if (mesh.userData.lastChanged !== xrMesh.lastChangedTime) {
+                    const newGeo = this._geometryFromMesh(xrMesh);
+                    if (newGeo) {
+                        mesh.geometry.dispose();
+                        mesh.geometry = newGeo;
+                        mesh.userData.lastChanged = xrMesh.lastChangedTime;
+                        this.index.set(mesh);
+                    }
+                }
+            } else {
+                // New mesh → create occluder mesh
+                const geometry = this._geometryFromMesh(xrMesh);
+                if (!geometry) continue;
+
+                const mat  = this.debugMode
+                    ? this.debugMaterial.clone()
+                    : this.occluderMaterial;
+                const mesh = new THREE.Mesh(geometry, mat);
+
+                mesh.matrixAutoUpdate        = false;
+                mesh.matrix.fromArray(pose.transform.matrix);
+                mesh.matrixWorldNeedsUpdate  = true;
+                mesh.renderOrder             = -1;
+                mesh.userData.lastChanged    = xrMesh.lastChangedTime;
+                mesh.userData.semanticLabel  = xrMesh.semanticLabel; // 'couch', 'table', …
+                mesh.userData.source         = 'mesh';
+
+                this.occluderGroup.add(mesh);
+                this.trackedMeshes.set(xrMesh, mesh);
+                this.index.set(mesh);
+            }
+        }
     }
 
     /* --------------------------------------------------
@@ -132,57 +249,197 @@ export class OcclusionSystem {
         return geo;
     }
 
+    _copyPolygon(polygon) {
+        return Array.from(polygon, (p) => ({ x: p.x, z: p.z }));
+    }
+
+    /* --------------------------------------------------
+     *  Build an indexed BufferGeometry from an XRMesh
+     * -------------------------------------------------- */
+    _geometryFromMesh(xrMesh) {
+        const { vertices, indices } = xrMesh;
+        if (!vertices || !indices || indices.length < 3) return null;
+
+        // Copies – the UA may reuse its buffers on the next change
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices), 3));
+        geo.setIndex(new THREE.BufferAttribute(new Uint32Array(indices), 1));
+        geo.computeBoundingSphere();
+        return geo;
+    }
+
+    /* --------------------------------------------------
+     *  Room geometry for course fitting
+     * -------------------------------------------------- */
+
+    /**
+     * Snapshot of the tracked surfaces (planes only – detected
+     * meshes have no polygon to fit a course around).
+     * @returns {{ orientation: string, polygon: {x:number, z:number}[],
+     *             matrix: THREE.Matrix4 }[]}  polygon in plane-local XZ
+     */
+    getSurfaces() {
+        const surfaces = [];
+        for (const mesh of this.trackedPlanes.values()) {
+            surfaces.push({
+                orientation: mesh.userData.orientation,
+                polygon:     mesh.userData.polygon,
+                matrix:      mesh.matrix.clone(),
+            });
+        }
+        return surfaces;
+    }
+
+    /**
+     * Register fixed surfaces – same shape as getSurfaces() – as
+     * collision-only occluders, replacing any from an earlier call.
+     * The simulator room feeds its floor, walls and ceiling here so
+     * impacts and look-ahead rays work without AR. They are not
+     * drawn: whatever owns them draws itself.
+     * @param {{ orientation: string, polygon: {x:number, z:number}[],
+     *           matrix: THREE.Matrix4, semanticLabel?: string }[]} surfaces
+     */
+    setStaticSurfaces(surfaces) {
+        for (const mesh of this.staticMeshes) {
+            this.index.delete(mesh);
+            this.occluderGroup.remove(mesh);
+            mesh.geometry.dispose();
+        }
+        this.staticMeshes = [];
+
+        for (const surface of surfaces) {
+            const geometry = this._geometryFromPolygon(surface.polygon);
+            if (!geometry) continue;
+
+            const mesh = new THREE.Mesh(geometry, this.occluderMaterial);
+            mesh.matrixAutoUpdate       = false;
+            mesh.matrix.copy(surface.matrix);
+            mesh.matrixWorldNeedsUpdate = true;
+            mesh.visible                = false;
+            mesh.userData.orientation   = surface.orientation;
+            mesh.userData.polygon       = this._copyPolygon(surface.polygon);
+            mesh.userData.semanticLabel = surface.semanticLabel || null;
+            mesh.userData.source        = 'plane';
+
+            this.occluderGroup.add(mesh);
+            this.staticMeshes.push(mesh);
+            this.index.set(mesh);
+        }
+    }
+
     /* --------------------------------------------------
      *  Collision detection against occluder surfaces
      * -------------------------------------------------- */
 
     /**
-     * Cast short rays from each collision point in 6 directions.
-     * @param {THREE.Vector3[]} points – key points around the aircraft
-     * @returns {{ point, normal, distance } | null}
+     * Swept test of the aircraft's oriented bounding shape from the
+     * previous to the current pose: every collision point and box
+     * corner casts along its own motion (no tunnelling at speed, any
+     * approach angle), then the box edges at the current pose catch
+     * anything poking in between the corners. The depth map (people,
+     * anything the runtime has not meshed) is checked last.
+     *
+     * Upward-facing surfaces at or below `groundY` are left to the
+     * physics – the wheels roll and touch down there.
+     *
+     * @param {{ points: THREE.Vector3[], box: THREE.Box3 }} shape – body frame
+     *        (PlaneModel.getCollisionShape)
+     * @param {{ position: THREE.Vector3, quaternion: THREE.Quaternion }} from
+     * @param {{ position: THREE.Vector3, quaternion: THREE.Quaternion }} to
+     * @param {Object} [opts]
+     * @param {number} [opts.groundY] – surface under the wheels
+     * @param {number} [opts.floorY]  – room floor (tells floor from table)
+     * @returns {{ point: THREE.Vector3, normal: THREE.Vector3, distance: number,
+     *             time: number, surface: string, label: string|null } | null}
+     *          time = fraction of the step at impact (0 … 1);
+     *          surface = 'floor' | 'table' | 'wall' | 'ceiling' | 'object'
      */
-    checkCollision(points) {
-        if (this.trackedPlanes.size === 0) return null;
+    checkCollision(shape, from, to, opts = {}) {
+        const body = [...shape.points, ...boxCorners(shape.box)];
+        return this._sweep(body, from, to, opts) ||
+               this.depth.checkCollision(toWorld(body, to), opts);
+    }
 
-        // Gather occluder meshes with up-to-date world matrices
-        const meshes = [];
-        this.occluderGroup.traverse((child) => {
-            if (child.isMesh) {
-                child.updateWorldMatrix(true, false);
-                meshes.push(child);
-            }
-        });
-        if (meshes.length === 0) return null;
-
-        const raycaster  = new THREE.Raycaster();
-        raycaster.near   = 0;
-        raycaster.far    = 0.25;          // 25 cm detection radius
-
-        const dirs = [
-            new THREE.Vector3( 0, -1,  0),
-            new THREE.Vector3( 0,  1,  0),
-            new THREE.Vector3( 1,  0,  0),
-            new THREE.Vector3(-1,  0,  0),
-            new THREE.Vector3( 0,  0,  1),
-            new THREE.Vector3( 0,  0, -1),
-        ];
-
-        for (const pt of points) {
-            for (const dir of dirs) {
-                raycaster.set(pt, dir);
-                const hits = raycaster.intersectObjects(meshes, false);
-                if (hits.length > 0 && hits[0].distance < 0.15) {
-                    return {
-                        point:    hits[0].point.clone(),
-                        normal:   hits[0].face
-                            ? hits[0].face.normal.clone()
-                            : dir.clone().negate(),
-                        distance: hits[0].distance,
-                    };
-                }
+    _sweep(body, from, to, opts) {
+        if (this.index.size === 0) return null;
+        this.index.refresh();
+
+        const ray   = this._ray;
+        const start = toWorld(body, from);
+        const end   = toWorld(body, to);
+        let best = null;
+
+        // ---- Each point along its motion – earliest impact wins ----
+        for (let i = 0; i < body.length; i++) {
+            ray.origin.copy(start[i]);
+            const len = ray.direction.subVectors(end[i], start[i]).length();
+            if (len < 1e-6) continue;
+
+            ray.direction.divideScalar(len);
+            const hit = this._firstHit(ray, len + SWEEP_SKIN, opts);
+            if (!hit) continue;
+
+            hit.time = Math.min(1, hit.distance / len);
+            if (!best || hit.time < best.time) best = hit;
+        }
+        if (best) return best;
+
+        // ---- Box edges at the current pose ----
+        for (const [i, j] of BOX_EDGES) {
+            const a = end[shapeCorner(body, i)];
+            const b = end[shapeCorner(body, j)];
+            ray.origin.copy(a);
+            const len = ray.direction.subVectors(b, a).length();
+            if (len < 1e-6) continue;
+
+            ray.direction.divideScalar(len);
+            const hit = this._firstHit(ray, len, opts);
+            if (hit) {
+                hit.time = 1;
+                return hit;
             }
         }
+        return null;
+    }
+
+    /**
+     * First occluder (plane or mesh) along a world ray – for look-ahead
+     * queries such as ProximityMonitor; hits are typed like
+     * checkCollision's.
+     * @param {THREE.Vector3} origin
+     * @param {THREE.Vector3} direction – unit length
+     * @param {number} far
+     * @param {Object} [opts] – as checkCollision (`groundY`, `floorY`)
+     */
+    raycast(origin, direction, far, opts = {}) {
+        if (this.index.size === 0) return null;
+        this.index.refresh();
+        this._ray.origin.copy(origin);
+        this._ray.direction.copy(direction);
+        return this._firstHit(this._ray, far, opts);
+    }
 
+    /** Nearest hit along the ray that is not the ground under the wheels. */
+    _firstHit(ray, far, opts) {
+        for (const h of this.index.intersect(ray, far)) {
+            // Face normals are object-local – take them to world space,
+            // facing back along the ray
+            const normal = h.face.normal.clone().transformDirection(h.object.matrixWorld);
+            if (normal.dot(ray.direction) > 0) normal.negate();
+
+            if (opts.groundY !== undefined && normal.y > UP_LIMIT &&
+                h.point.y <= opts.groundY + 0.05) continue;
+
+            const label = h.object.userData.semanticLabel || null;
+            return {
+                point:    h.point.clone(),
+                normal,
+                distance: h.distance,
+                time:     1,
+                surface:  classifySurface(h.object, label, normal, h.point, opts),
+                label,
+            };
+        }
         return null;
     }
 
@@ -204,6 +461,8 @@ export class OcclusionSystem {
 
     getPlaneCount() { return this.detectedPlaneCount; }
 
+    getMeshCount() { return this.detectedMeshCount; }
+
     dispose() {
         this.occluderGroup.traverse((child) => {
             if (child.isMesh) {
@@ -213,5 +472,51 @@ export class OcclusionSystem {
         });
         this.scene.remove(this.occluderGroup);
         this.trackedPlanes.clear();
+        this.trackedMeshes.clear();
+        this.staticMeshes = [];
+        this.index.clear();
+        this.depth.dispose();
+    }
+}
+
+/* ---------- collision helpers ---------- */
+
+/** Body-frame points → world space for a pose. */
+function toWorld(points, pose) {
+    return points.map((p) => p.clone().applyQuaternion(pose.quaternion).add(pose.position));
+}
+
+/** The 8 corners of a box, indexed as in BOX_EDGES. */
+function boxCorners(box) {
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+        corners.push(new THREE.Vector3(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        ));
+    }
+    return corners;
+}
+
+/** Index of box corner i in the point list (corners come last). */
+function shapeCorner(body, i) {
+    return body.length - 8 + i;
+}
+
+/**
+ * Surface type of a hit: the UA's semantic label when it names one,
+ * detected meshes are objects (sofas, chairs…), otherwise the world
+ * normal decides – facing up is floor (at floor height) or table.
+ */
+function classifySurface(object, label, normal, point, opts) {
+    const key = label ? label.toLowerCase() : '';
+    if (LABEL_SURFACES[key]) return LABEL_SURFACES[key];
+    if (object.userData.source === 'mesh' && key !== 'global mesh') return 'object';
+
+    if (normal.y > UP_LIMIT) {
+        return opts.floorY === undefined || point.y < opts.floorY + 0.15 ? 'floor' : 'table';
     }
+    if (normal.y < -UP_LIMIT) return 'ceiling';
+    return 'wall';
 }
@@ -1,12 +1,57 @@
 // ============================================================
 // Realistic Airplane Physics Engine
-// Aerodynamic forces: lift, drag, thrust, gravity, wind
+// Aerodynamic forces: lift, drag, thrust, gravity
+// Lift, drag and side force follow the real angle of attack (α)
+// and sideslip (β); stall comes from α, not from airspeed
+//
+// Aerodynamics work on airspeed – velocity relative to the moving
+// air mass sampled from the WindField (see wind.js) – while the
+// plane moves over the ground with its groundspeed.
+//
+// Wheels: at `groundLevel` the plane rolls (friction, brakes at
+// idle, nose-up only past rotationSpeed); touching down too hard,
+// too banked, nose-first or crabbing sideways is an impact. Thrust and boost burn a
+// fuel budget – an empty tank means gliding.
+//
+// Flight models:
+//   'realistic' – sticks drive control moments; angular velocity
+//                 builds against inertia and aerodynamic damping,
+//                 with weathervane / pitch / dihedral stability
+//   'arcade'    – sticks set rotation rates directly (new pilots)
 // ============================================================
 import * as THREE from 'three';
+import { WindField } from './wind.js';
 
 export class PhysicsEngine {
     constructor() {
-        // --- Aircraft parameters (tuned for AR scale) ---
+        this._setDefaults();
+        this.flightModel = 'realistic';
+
+        // --- Runtime state ---
+        this.velocity        = new THREE.Vector3();   // ground frame
+        this.airspeed        = 0;
+        this.angularVelocity = new THREE.Vector3();
+        this.isStalling      = false;
+        this.isBoosting      = false;   // boost asked for and fuel to burn
+        this.angleOfAttack   = 0;   // α (rad), + when the airflow hits the belly
+        this.sideslip        = 0;   // β (rad), + when the airflow comes from the right
+        this._wingDrop       = 1;   // which wing falls in a stall (±1)
+        this.onGround        = false;
+        this.groundLevel     = 0;   // world y of the floor under the course
+        this.fuel            = this.fuelCapacity;
+        this.fuelMax         = this.fuelCapacity;
+        this.touchdownSinkRate = 0; // m/s at the last touchdown
+        this._airTime        = 0;   // s since the wheels left the floor
+
+        // Wind – air velocity at the plane, refreshed every step
+        this.windField = new WindField();
+        this.wind      = new THREE.Vector3();
+    }
+
+    /* ---- Aircraft parameters ---- */
+
+    /** Trainer defaults (tuned for AR scale); aircraft.js overrides them. */
+    _setDefaults() {
         this.mass          = 1.0;     // kg
         this.gravity       = 9.81;    // m/s²
         this.wingArea      = 0.5;     // m²
@@ -15,50 +60,162 @@ export class PhysicsEngine {
         this.boostThrust   = 28;      // N
 
         // Aerodynamic coefficients
-        this.liftCoefficient    = 1.0;   // base Cl
-        this.dragCoefficient    = 0.04;  // parasitic Cd₀
+        this.liftCoefficient    = 0.25;  // Cl at zero angle of attack (cambered wing)
+        this.liftSlope          = 4.5;   // dCl/dα (per rad)
+        this.criticalAoA        = 0.26;  // rad (~15°) – peak of the lift curve
+        this.postStallBlend     = 0.09;  // rad over which lift collapses past critical AoA
+        this.dragCoefficient    = 0.12;  // parasitic Cd₀ (draggy foam airframe)
         this.inducedDragFactor  = 0.08;  // k for induced drag
+        this.formDragFactor     = 0.9;   // extra Cd ∝ sin²α (flat plate at high AoA)
+        this.sideForceSlope     = 4.0;   // dCy/dβ (per rad) – fuselage + fin
+        this.sideslipDrag       = 0.5;   // extra Cd ∝ sin²β
 
-        // Stability
-        this.lateralDamping = 0.95;  // side-slip dissipation per frame
+        // Rotational dynamics – per body axis (x pitch, y yaw, z roll)
+        this.inertia       = new THREE.Vector3(0.05, 0.08, 0.03);  // kg·m²
+        this.controlPower  = new THREE.Vector3(0.56, 0.64, 0.45);  // N·m, full stick at reference speed
+        this.rateDamping   = new THREE.Vector3(0.20, 0.32, 0.15);  // N·m per rad/s at reference speed
+        this.referenceSpeed = 10;     // m/s – cruise the moments are quoted at
+        this.pitchStability = 1.5;    // N·m per rad of AoA above trim
+        this.trimAoA        = 0.14;   // rad – AoA the plane settles to hands-off (lift ≈ weight near launch speed)
+        this.weathervane    = 0.8;    // N·m per rad of sideslip (nose into the wind)
+        this.dihedral       = 0.3;    // N·m per rad of sideslip (rolls away from the slip)
+        this.arcadeTurnRate = 2.8;    // rad/s at full stick in arcade mode
 
-        // --- Runtime state ---
-        this.velocity        = new THREE.Vector3();
-        this.angularVelocity = new THREE.Vector3();
-        this.isStalling      = false;
+        // Speed limits
+        this.launchSpeed   = 5;       // m/s airspeed when placed
+        this.maxSpeed      = 14;      // m/s airspeed
+        this.boostMaxSpeed = 22;      // m/s airspeed while boosting
+
+        // Stall behaviour
+        this.noseDropRate  = 1.4;  // rad/s pitch-down when stalled
+        this.wingDropRate  = 1.8;  // rad/s roll-off toward the dropping wing
+        this.stallRecovery = 0.8;  // un-stall below this fraction of critical AoA
+
+        // Undercarriage
+        this.gearHeight       = 0.12;  // m – centre of mass above the floor on the wheels
+        this.rotationSpeed    = 6;     // m/s airspeed before the nose can lift
+        this.maxGroundPitch   = 0.2;   // rad – tail strike beyond this
+        this.rollingFriction  = 0.05;  // μ while rolling
+        this.brakeFriction    = 0.5;   // μ with the throttle closed
+        this.tyreGrip         = 12;    // 1/s – how fast sideways skids die out
+        this.maxSinkRate      = 2.0;   // m/s – harder touchdowns are impacts
+        this.maxTouchdownBank = 0.35;  // rad
+        this.maxCrabAngle     = 0.6;   // rad between nose and ground track
 
-        // Wind
-        this.wind       = new THREE.Vector3();
-        this.turbulence = 0;
-        this._turbTime  = Math.random() * 1000;
+        // Fuel (arbitrary units)
+        this.fuelCapacity  = 100;
+        this.fuelBurn      = 1.0;   // per second at full throttle
+        this.boostBurn     = 4.0;   // extra per second while boosting
+    }
+
+    /**
+     * Load an aircraft's flight parameters (see aircraft.js). Anything
+     * not listed falls back to the trainer defaults; arrays set the
+     * per-axis vectors (inertia, controlPower, rateDamping).
+     * @param {Object} [params]
+     */
+    configure(params = {}) {
+        this._setDefaults();
+        for (const [key, value] of Object.entries(params)) {
+            const current = this[key];
+            if (current instanceof THREE.Vector3 && Array.isArray(value)) {
+                current.set(...value);
+            } else if (typeof current === 'number' && typeof value === 'number') {
+                this[key] = value;
+            } else {
+                console.warn(`⚠️ Unknown aircraft parameter "${key}" ignored`);
+            }
+        }
+        this.reset();
+        this.refuel();
     }
 
     /* ---- Configuration ---- */
 
-    setWind(speed, direction, turbulence) {
-        const dir = new THREE.Vector3(...direction);
-        if (dir.lengthSq() > 0) dir.normalize();
-        this.wind.copy(dir).multiplyScalar(speed);
-        this.turbulence = turbulence;
+    /** Fill the tank – `capacity` overrides the aircraft's (level budgets). */
+    refuel(capacity = this.fuelCapacity) {
+        this.fuelMax = capacity;
+        this.fuel    = capacity;
+    }
+
+    /** Sit on the wheels at `groundY`, stationary (take-off roll). */
+    placeOnGround(position, groundY) {
+        this.groundLevel = groundY;
+        position.y = groundY + this.gearHeight;
+        this.velocity.set(0, 0, 0);
+        this.angularVelocity.set(0, 0, 0);
+        this.onGround = true;
+    }
+
+    /**
+     * @param {Object} config – { speed, direction, turbulence, zones } (see WindField)
+     * @param {THREE.Object3D} [frame] – course group the config is relative to
+     */
+    setWind(config, frame) {
+        this.windField.configure(config, frame);
+        this.wind.set(0, 0, 0);
+    }
+
+    /** @param {'realistic'|'arcade'} model */
+    setFlightModel(model) {
+        this.flightModel = model === 'arcade' ? 'arcade' : 'realistic';
+        this.angularVelocity.set(0, 0, 0);
     }
 
-    setInitialVelocity(direction, speed) {
+    /**
+     * Launch at `speed` m/s. With a position the speed is airspeed –
+     * the plane starts out moving with the air around it.
+     */
+    setInitialVelocity(direction, speed, position) {
         this.velocity.copy(direction).normalize().multiplyScalar(speed);
+        this.airspeed = speed;
+        if (position) this.velocity.add(this.windField.sample(position, this.wind));
     }
 
     reset() {
         this.velocity.set(0, 0, 0);
         this.angularVelocity.set(0, 0, 0);
-        this.isStalling = false;
+        this.wind.set(0, 0, 0);
+        this.airspeed      = 0;
+        this.onGround      = false;
+        this.isStalling    = false;
+        this.isBoosting    = false;
+        this.angleOfAttack = 0;
+        this.sideslip      = 0;
     }
 
-    /* ---- Main update ---- */
+    /* ---- Aerodynamic coefficients ---- */
 
-    update(dt, controls, position, quaternion, isBoosting) {
-        dt = Math.min(dt, 0.035); // clamp to prevent explosion on lag
+    /**
+     * Lift coefficient for angle of attack α: linear up to the
+     * critical angle, then a collapse onto a flat-plate curve.
+     */
+    liftCurve(alpha) {
+        const a    = Math.abs(alpha);
+        const sign = Math.sign(alpha) || 1;
+        const crit = this.criticalAoA;
+        if (a <= crit) return this.liftCoefficient + this.liftSlope * alpha;
 
-        // ========== 1. ROTATION (responsive direct-quaternion control) ==========
-        const turnRate = 2.8 * dt;
+        const peak = this.liftCoefficient + this.liftSlope * crit * sign;
+        const flat = Math.sin(2 * alpha) * 0.9;
+        const t    = Math.min(1, (a - crit) / this.postStallBlend);
+        return peak + (flat - peak) * t;
+    }
+
+    dragCurve(alpha, beta, cl) {
+        const sa = Math.sin(alpha);
+        const sb = Math.sin(beta);
+        return this.dragCoefficient +
+               this.inducedDragFactor * cl * cl +
+               this.formDragFactor * sa * sa +
+               this.sideslipDrag * sb * sb;
+    }
+
+    /* ---- Rotation ---- */
+
+    /** Arcade: stick deflection is the body rotation rate. */
+    _rotateArcade(dt, controls, quaternion) {
+        const turnRate = this.arcadeTurnRate * dt;
 
         const pitchQ = new THREE.Quaternion().setFromAxisAngle(
             new THREE.Vector3(1, 0, 0), controls.pitch * turnRate
@@ -70,85 +227,264 @@ export class PhysicsEngine {
             new THREE.Vector3(0, 0, 1), -controls.roll * turnRate
         );
         quaternion.multiply(pitchQ).multiply(yawQ).multiply(rollQ).normalize();
+        this.angularVelocity.set(
+            controls.pitch, controls.yaw, -controls.roll
+        ).multiplyScalar(this.arcadeTurnRate);
+    }
+
+    /**
+     * Realistic: moments from the control surfaces (∝ dynamic pressure),
+     * rate damping (∝ airspeed) and static stability, integrated through
+     * the moments of inertia. Uses the airflow angles of the last step.
+     */
+    _rotateDynamic(dt, controls, quaternion) {
+        const vRatio = this.airspeed / this.referenceSpeed;
+        const qRatio = vRatio * vRatio;   // dynamic pressure vs. reference
+        const alpha  = this.angleOfAttack;
+        const beta   = this.sideslip;
+        const w      = this.angularVelocity;
+
+        // Control surfaces lose bite as the airflow over them slows
+        const moment = new THREE.Vector3(
+            controls.pitch, controls.yaw, -controls.roll
+        ).multiply(this.controlPower).multiplyScalar(qRatio);
+
+        // Damping: the tail and wings resist rotation, more so when fast
+        // (a little is left at zero airspeed so a hover never spins up)
+        moment.sub(w.clone().multiply(this.rateDamping).multiplyScalar(vRatio + 0.15));
+
+        // Static stability
+        moment.x -= this.pitchStability * (alpha - this.trimAoA) * qRatio;  // nose to the flight path
+        moment.y -= this.weathervane * beta * qRatio;                       // nose into the airflow
+        moment.z += this.dihedral * beta * qRatio;                          // wings level out of a slip
+
+        w.x += (moment.x / this.inertia.x) * dt;
+        w.y += (moment.y / this.inertia.y) * dt;
+        w.z += (moment.z / this.inertia.z) * dt;
+
+        const angle = w.length() * dt;
+        if (angle > 1e-9) {
+            const dq = new THREE.Quaternion().setFromAxisAngle(w.clone().normalize(), angle);
+            quaternion.multiply(dq).normalize();
+        }
+    }
+
+    /* ---- Ground contact ---- */
+
+    /**
+     * Wheels on the floor. Gentle arrivals roll on, hard ones are an
+     * impact; while rolling the wings stay level, the tail stays down
+     * until rotationSpeed and the tyres grip sideways.
+     * @returns {'touchdown'|'impact'|null}
+     */
+    _groundContact(dt, controls, position, quaternion, liftUp) {
+        const wheelsY = this.groundLevel + this.gearHeight;
+        const liftOff = this.onGround && this.velocity.y > 0;   // lift beat weight
+        if (liftOff || position.y > wheelsY + 0.01) {
+            this.onGround = false;
+            this._airTime += dt;
+            return null;
+        }
+
+        let event = null;
+        if (!this.onGround) {
+            const sink  = -this.velocity.y;
+            const right = new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion);
+            const fwd   = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+            const bank  = Math.abs(Math.asin(THREE.MathUtils.clamp(right.y, -1, 1)));
+            const pitch = Math.asin(THREE.MathUtils.clamp(fwd.y, -1, 1));
+            this.touchdownSinkRate = Math.max(0, sink);
+
+            // Crab: nose vs. direction of travel (wheels would dig in)
+            const track = Math.hypot(this.velocity.x, this.velocity.z);
+            const crab  = track > 1
+                ? Math.abs(Math.atan2(
+                    fwd.x * this.velocity.z - fwd.z * this.velocity.x,
+                    fwd.x * this.velocity.x + fwd.z * this.velocity.z))
+                : 0;
+
+            if (sink > this.maxSinkRate || bank > this.maxTouchdownBank ||
+                pitch < -0.15 || pitch > this.maxGroundPitch + 0.15 ||
+                crab > this.maxCrabAngle) {
+                return 'impact';
+            }
+            this.onGround = true;
+            // Skips during the take-off run are not landings
+            if (this._airTime > 0.3) event = 'touchdown';
+        }
+        this._airTime = 0;
+
+        position.y = wheelsY;
+        if (this.velocity.y < 0) this.velocity.y = 0;
+
+        // Attitude: heading free, wings level, nose up only when fast enough
+        const euler    = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+        const maxPitch = this.airspeed >= this.rotationSpeed ? this.maxGroundPitch : 0;
+        const w        = this.angularVelocity;
+        if (euler.x <= 0 && w.x < 0)        w.x = 0;
+        if (euler.x >= maxPitch && w.x > 0) w.x = 0;
+        euler.x = THREE.MathUtils.clamp(euler.x, 0, maxPitch);
+        euler.z = 0;
+        w.z     = 0;
+        quaternion.setFromEuler(euler);
+
+        // Tyres: rolling resistance / brakes along the nose, grip across it
+        const heading = new THREE.Vector3(-Math.sin(euler.y), 0, -Math.cos(euler.y));
+        const side    = new THREE.Vector3(-heading.z, 0, heading.x);
+        const normal  = Math.max(0, this.mass * this.gravity - liftUp);
+        const mu      = controls.throttle < 0.05 ? this.brakeFriction : this.rollingFriction;
+        const along   = this.velocity.dot(heading);
+        const across  = this.velocity.dot(side) * Math.max(0, 1 - this.tyreGrip * dt);
+        const slowed  = Math.sign(along) *
+            Math.max(0, Math.abs(along) - (mu * normal / this.mass) * dt);
+
+        this.velocity.set(
+            heading.x * slowed + side.x * across,
+            this.velocity.y,
+            heading.z * slowed + side.z * across
+        );
+        return event;
+    }
+
+    /* ---- Main update ---- */
+
+    update(dt, controls, position, quaternion, isBoosting) {
+        dt = Math.min(dt, 0.035); // safety clamp – app.js steps at a fixed 1/60 s
+
+        // ========== 1. ROTATION ==========
+        if (this.flightModel === 'arcade') {
+            this._rotateArcade(dt, controls, quaternion);
+        } else {
+            this._rotateDynamic(dt, controls, quaternion);
+        }
 
         // Body axes (recalculated after rotation)
         const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
         const up      = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+        const right   = new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion);
 
-        // ========== 2. AERODYNAMIC FORCES ==========
-        const speed           = this.velocity.length();
+        // ========== 2. RELATIVE WIND ==========
+        this.windField.step(dt);
+        this.windField.sample(position, this.wind);
+        const airVelocity = this.velocity.clone().sub(this.wind);
+
+        // ========== 3. AIRFLOW ANGLES & FORCES ==========
+        const speed           = airVelocity.length();   // airspeed
         const dynamicPressure = 0.5 * this.airDensity * speed * speed;
+        const velDir          = speed > 0.01
+            ? airVelocity.clone().divideScalar(speed)
+            : forward.clone();
+
+        //   α – flight path vs. nose in the body's vertical plane
+        //   β – flight path vs. nose in the body's horizontal plane
+        const vRight = velDir.dot(right);
+        const alpha  = Math.atan2(-velDir.dot(up), velDir.dot(forward));
+        const beta   = Math.asin(THREE.MathUtils.clamp(vRight, -1, 1));
+        this.angleOfAttack = alpha;
+        this.sideslip      = beta;
 
-        // --- Thrust ---
-        const thrustMag = controls.throttle * (isBoosting ? this.boostThrust : this.maxThrust);
+        // --- Thrust (nothing left once the tank is dry) ---
+        const hasFuel   = this.fuel > 0;
+        const boosting  = isBoosting && hasFuel;
+        this.isBoosting = boosting;
+        const thrustMag = hasFuel
+            ? controls.throttle * (boosting ? this.boostThrust : this.maxThrust)
+            : 0;
         const thrust    = forward.clone().multiplyScalar(thrustMag);
+        if (hasFuel) {
+            const burn = controls.throttle * this.fuelBurn + (boosting ? this.boostBurn : 0);
+            this.fuel  = Math.max(0, this.fuel - burn * dt);
+        }
 
         // --- Gravity ---
         const gravityForce = new THREE.Vector3(0, -this.mass * this.gravity, 0);
 
-        // --- Lift (perpendicular to wings = body "up") ---
-        //   At speed ~5.7 m/s with Cl=1.0, lift ≈ weight  (stall below ~3 m/s)
-        const liftMag   = dynamicPressure * this.wingArea * this.liftCoefficient;
-        const liftForce = up.clone().multiplyScalar(liftMag);
+        // --- Lift (perpendicular to the airflow, in the wings' plane) ---
+        //   Level flight at ~6 m/s needs ~8° of AoA; the curve peaks
+        //   at the critical angle (stall ≈ 4.8 m/s in level flight)
+        const cl      = this.liftCurve(alpha);
+        const liftDir = new THREE.Vector3().crossVectors(right, velDir);
+        if (liftDir.lengthSq() > 1e-6) liftDir.normalize();
+        const liftForce = liftDir.multiplyScalar(dynamicPressure * this.wingArea * cl);
+
+        // --- Side force (fuselage + fin turn the airflow back onto the nose) ---
+        const sideDir = right.clone().addScaledVector(velDir, -vRight);
+        if (sideDir.lengthSq() > 1e-6) sideDir.normalize();
+        const sideForce = sideDir.multiplyScalar(
+            -dynamicPressure * this.wingArea * this.sideForceSlope * beta
+        );
 
-        // --- Drag (opposes velocity) ---
-        const cd      = this.dragCoefficient +
-                         this.inducedDragFactor * this.liftCoefficient * this.liftCoefficient;
-        const dragMag = dynamicPressure * this.wingArea * cd;
-        const dragDir = this.velocity.lengthSq() > 0.001
-            ? this.velocity.clone().normalize().negate()
-            : new THREE.Vector3();
-        const dragForce = dragDir.multiplyScalar(dragMag);
+        // --- Drag (opposes the airflow) ---
+        const cd        = this.dragCurve(alpha, beta, cl);
+        const dragForce = velDir.clone().negate()
+            .multiplyScalar(speed > 0.01 ? dynamicPressure * this.wingArea * cd : 0);
 
         // --- Total force → acceleration ---
         const totalForce = new THREE.Vector3()
             .add(thrust)
             .add(gravityForce)
             .add(liftForce)
+            .add(sideForce)
             .add(dragForce);
 
         const acceleration = totalForce.divideScalar(this.mass);
         this.velocity.add(acceleration.multiplyScalar(dt));
 
-        // ========== 3. WIND & TURBULENCE ==========
-        if (this.wind.lengthSq() > 0) {
-            this.velocity.add(this.wind.clone().multiplyScalar(dt * 0.5));
-        }
-        if (this.turbulence > 0) {
-            this._turbTime += dt;
-            const t = this._turbTime;
-            const turb = new THREE.Vector3(
-                Math.sin(t * 3.1 + 1.7) * this.turbulence,
-                Math.sin(t * 2.3 + 4.2) * this.turbulence * 0.5,
-                Math.cos(t * 2.7 + 0.3) * this.turbulence
-            );
-            this.velocity.add(turb.multiplyScalar(dt));
-        }
-
-        // ========== 4. AERODYNAMIC ALIGNMENT ==========
-        // Side-force dissipation: velocity drifts toward forward direction
-        const forwardSpeed = this.velocity.dot(forward);
-        const forwardVel   = forward.clone().multiplyScalar(forwardSpeed);
-        const sideVel      = this.velocity.clone().sub(forwardVel);
-        sideVel.multiplyScalar(this.lateralDamping);
-        this.velocity.copy(forwardVel.add(sideVel));
-
-        // Speed clamp
-        const maxSpeed = isBoosting ? 22 : 14;
-        if (this.velocity.length() > maxSpeed) {
-            this.velocity.normalize().multiplyScalar(maxSpeed);
+        // ========== 4. AIRSPEED CLAMP ==========
+        //   (the air mass still carries the plane along)
+        const maxSpeed = boosting ? this.boostMaxSpeed : this.maxSpeed;
+        airVelocity.subVectors(this.velocity, this.wind);
+        if (airVelocity.length() > maxSpeed) {
+            airVelocity.setLength(maxSpeed);
+            this.velocity.addVectors(this.wind, airVelocity);
         }
+        this.airspeed = airVelocity.length();
 
         // ========== 5. POSITION UPDATE ==========
         position.add(this.velocity.clone().multiplyScalar(dt));
 
-        // ========== 6. STALL DETECTION ==========
-        this.isStalling = speed < 2.5 && position.y > 0.5;
+        // ========== 6. WHEELS ==========
+        const ground = this._groundContact(dt, controls, position, quaternion, liftForce.y);
+
+        // ========== 7. STALL (from angle of attack) ==========
+        //   Past the critical angle the wing lets go: the nose falls
+        //   through and a wing drops until α is back under the limit
+        const absAlpha = Math.abs(alpha);
+        if (!this.isStalling && absAlpha > this.criticalAoA && speed > 0.5) {
+            this.isStalling = true;
+            this._wingDrop  = beta >= 0 ? 1 : -1;   // the wing the airflow slides toward
+        } else if (this.isStalling && absAlpha < this.criticalAoA * this.stallRecovery) {
+            this.isStalling = false;
+        }
+        if (position.y - this.groundLevel <= 0.5 || this.onGround) this.isStalling = false;
+
+        if (this.isStalling) {
+            const depth = Math.min(1, (absAlpha - this.criticalAoA * this.stallRecovery) /
+                                      this.criticalAoA);
+            const noseQ = new THREE.Quaternion().setFromAxisAngle(
+                new THREE.Vector3(1, 0, 0),
+                -Math.sign(alpha) * this.noseDropRate * (0.5 + 0.5 * depth) * dt
+            );
+            // Arcade pilots keep their wings level
+            const wingDrop = this.flightModel === 'arcade' ? 0 : this.wingDropRate;
+            const wingQ = new THREE.Quaternion().setFromAxisAngle(
+                new THREE.Vector3(0, 0, 1),
+                -this._wingDrop * wingDrop * depth * dt
+            );
+            quaternion.multiply(noseQ).multiply(wingQ).normalize();
+        }
 
         return {
-            speed:      this.velocity.length(),
-            isStalling: this.isStalling,
-            altitude:   position.y,
+            airspeed:      this.airspeed,
+            groundSpeed:   this.velocity.length(),
+            isStalling:    this.isStalling,
+            isBoosting:    boosting,
+            onGround:      this.onGround,
+            ground,                            // 'touchdown' | 'impact' | null
+            fuel:          this.fuelMax > 0 ? this.fuel / this.fuelMax : 0,
+            altitude:      position.y - this.groundLevel,
+            angleOfAttack: alpha,
+            sideslip:      beta,
         };
     }
 }
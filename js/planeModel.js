@@ -1,9 +1,11 @@
 // ============================================================
-// Plane Model – loads plane.glb via GLTFLoader with auto-scale
-// Falls back to a procedural model if the GLB is missing.
+// Plane Model – loads an aircraft's GLB via GLTFLoader with
+// auto-scale. Falls back to a procedural model if the GLB is
+// missing (or the aircraft has none, see aircraft.js).
 // ============================================================
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { getAircraft } from './aircraft.js';
 
 export class PlaneModel {
     constructor(scene) {
@@ -12,8 +14,12 @@ export class PlaneModel {
         this.propeller   = null;
         this.modelLoaded = false;
         this.boundingBox = new THREE.Box3();
+        this.aircraft    = getAircraft();
+        this.collisionPoints = [];
+        this.collisionBox    = new THREE.Box3();   // body frame, around the points
 
         this._crashParticles = null;
+        this._ghost          = null;   // { opacity, tint } once setGhost() was called
 
         this.group.visible   = false;
         this.group.renderOrder = 0;
@@ -24,12 +30,34 @@ export class PlaneModel {
     /*  Loading                                           */
     /* -------------------------------------------------- */
 
-    async load() {
+    /**
+     * Build the model for an aircraft definition, replacing any
+     * previous one. Resolves true when a GLB was loaded.
+     * @param {Object} [aircraft] – entry of AIRCRAFT (default: trainer)
+     */
+    async load(aircraft = getAircraft()) {
+        this.aircraft    = aircraft;
+        this.propeller   = null;
+        this.modelLoaded = false;
+        this.collisionPoints = aircraft.collisionPoints
+            .map(([x, y, z]) => new THREE.Vector3(x, y, z));
+        this.collisionBox.setFromPoints(this.collisionPoints);
+        this._clearModel();
+
+        if (!aircraft.model) {
+            this._createProceduralModel(aircraft.procedural);
+            this._applyGhost();
+            return false;
+        }
+
         return new Promise((resolve) => {
             const loader = new GLTFLoader();
             loader.load(
-                'models/plane.glb',
+                aircraft.model,
                 (gltf) => {
+                    // A newer load() won the race – drop this one
+                    if (this.aircraft !== aircraft) return resolve(false);
+
                     const model = gltf.scene;
 
                     // Auto-scale so longest axis ≈ 1 m
@@ -56,74 +84,100 @@ export class PlaneModel {
 
                     this.group.add(model);
                     this.modelLoaded = true;
+                    this._applyGhost();
 
                     // Try to locate propeller in the model hierarchy
+                    const propName = (aircraft.propeller || 'prop').toLowerCase();
                     model.traverse((child) => {
-                        if (child.name && child.name.toLowerCase().includes('prop')) {
+                        if (child.name && child.name.toLowerCase().includes(propName)) {
                             this.propeller = child;
                         }
                     });
 
-                    console.log('✅ plane.glb loaded');
+                    console.log(`✅ ${aircraft.model} loaded`);
                     resolve(true);
                 },
                 undefined,
                 (err) => {
-                    console.warn('⚠️ plane.glb not found – using procedural model.', err?.message || '');
-                    this._createProceduralModel();
+                    console.warn(`⚠️ ${aircraft.model} not found – using procedural model.`, err?.message || '');
+                    if (this.aircraft === aircraft) {
+                        this._createProceduralModel(aircraft.procedural);
+                        this._applyGhost();
+                    }
                     resolve(false);
                 }
             );
         });
     }
 
+    _clearModel() {
+        for (const child of [...this.group.children]) {
+            this.group.remove(child);
+            child.traverse((o) => {
+                if (!o.isMesh) return;
+                o.geometry.dispose();
+                (Array.isArray(o.material) ? o.material : [o.material]).forEach((m) => m.dispose());
+            });
+        }
+    }
+
     /* -------------------------------------------------- */
     /*  Procedural fallback                               */
     /* -------------------------------------------------- */
 
-    _createProceduralModel() {
+    /**
+     * @param {Object} [shape] – { bodyColor, wingColor, length, span,
+     *                             chord, bodyRadius } (trainer defaults)
+     */
+    _createProceduralModel(shape = {}) {
+        const {
+            bodyColor = 0xcc2222, wingColor = 0xeeeeee,
+            length = 0.9, span = 1.5, chord = 0.3, bodyRadius = 0.1,
+        } = shape;
+        const half = length / 2;
+
         const bodyMat = new THREE.MeshStandardMaterial({
-            color: 0xcc2222, metalness: 0.6, roughness: 0.3,
+            color: bodyColor, metalness: 0.6, roughness: 0.3,
         });
         const wingMat = new THREE.MeshStandardMaterial({
-            color: 0xeeeeee, metalness: 0.3, roughness: 0.4,
+            color: wingColor, metalness: 0.3, roughness: 0.4,
         });
 
         // Fuselage
-        const bodyGeo = new THREE.CylinderGeometry(0.08, 0.12, 0.9, 12);
+        const bodyGeo = new THREE.CylinderGeometry(bodyRadius * 0.8, bodyRadius * 1.2, length, 12);
         bodyGeo.rotateX(Math.PI / 2);
         this.group.add(new THREE.Mesh(bodyGeo, bodyMat));
 
         // Nose cone
-        const noseGeo = new THREE.ConeGeometry(0.08, 0.25, 12);
+        const noseGeo = new THREE.ConeGeometry(bodyRadius * 0.8, 0.25, 12);
         noseGeo.rotateX(-Math.PI / 2);
         const nose = new THREE.Mesh(noseGeo, bodyMat);
-        nose.position.z = -0.57;
+        nose.position.z = -half - 0.12;
         this.group.add(nose);
 
         // Wings
-        const wingGeo = new THREE.BoxGeometry(1.5, 0.04, 0.3);
+        const wingGeo = new THREE.BoxGeometry(span, 0.04, chord);
         const wings = new THREE.Mesh(wingGeo, wingMat);
         wings.position.set(0, -0.02, -0.1);
         this.group.add(wings);
 
         // Tail horizontal
-        const tailGeo = new THREE.BoxGeometry(0.5, 0.03, 0.15);
+        const tailGeo = new THREE.BoxGeometry(span / 3, 0.03, chord / 2);
         const tail = new THREE.Mesh(tailGeo, wingMat);
-        tail.position.set(0, 0.02, 0.38);
+        tail.position.set(0, 0.02, half - 0.07);
         this.group.add(tail);
 
         // Tail vertical
         const tailVGeo = new THREE.BoxGeometry(0.03, 0.25, 0.18);
         const tailV = new THREE.Mesh(tailVGeo, wingMat);
-        tailV.position.set(0, 0.14, 0.35);
+        tailV.position.set(0, 0.14, half - 0.1);
         this.group.add(tailV);
 
         // Propeller
         const propGeo = new THREE.BoxGeometry(0.6, 0.04, 0.03);
         const propMat = new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.8 });
         this.propeller = new THREE.Mesh(propGeo, propMat);
-        this.propeller.position.z = -0.7;
+        this.propeller.position.z = -half - 0.25;
         this.group.add(this.propeller);
 
         // Cockpit dome
@@ -151,6 +205,38 @@ export class PlaneModel {
         if (this.propeller) this.propeller.rotation.z += speed * dt * 3;
     }
 
+    /**
+     * Turn this instance into a translucent, tinted ghost
+     * (used for replay playback). Models built by later load()s
+     * are ghosted too.
+     */
+    setGhost(opacity = 0.35, tint = 0x88ccff) {
+        this._ghost = { opacity, tint };
+        this._applyGhost();
+    }
+
+    _applyGhost() {
+        if (!this._ghost) return;
+        const { opacity } = this._ghost;
+        const tintColor   = new THREE.Color(this._ghost.tint);
+        this.group.traverse((child) => {
+            if (!child.isMesh) return;
+            const toGhost = (m) => {
+                const g = m.clone();
+                g.transparent = true;
+                g.opacity     = opacity;
+                g.depthWrite  = false;
+                if (g.color) g.color.lerp(tintColor, 0.5);
+                m.dispose();
+                return g;
+            };
+            child.material = Array.isArray(child.material)
+                ? child.material.map(toGhost)
+                : toGhost(child.material);
+            child.castShadow = false;
+        });
+    }
+
     show() { this.group.visible = true;  }
     hide() { this.group.visible = false; }
 
@@ -160,22 +246,25 @@ export class PlaneModel {
     }
 
     /**
-     * Return 6 key points around the aircraft for collision testing.
+     * The aircraft's collision points (nose, tail, wingtips, top,
+     * bottom – see aircraft.js) in world space, for the model's pose
+     * or the one given (e.g. a physics step not yet drawn).
+     * @param {THREE.Vector3} [position]
+     * @param {THREE.Quaternion} [quaternion]
+     */
+    getCollisionPoints(position = this.group.position, quaternion = this.group.quaternion) {
+        return this.collisionPoints.map((p) => p.clone()
+            .applyQuaternion(quaternion)
+            .add(position));
+    }
+
+    /**
+     * Body-frame collision shape: the points plus the oriented box
+     * around them (see OcclusionSystem.checkCollision).
+     * @returns {{ points: THREE.Vector3[], box: THREE.Box3 }}
      */
-    getCollisionPoints() {
-        const pos     = this.group.position.clone();
-        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.group.quaternion);
-        const up      = new THREE.Vector3(0, 1, 0).applyQuaternion(this.group.quaternion);
-        const right   = new THREE.Vector3(1, 0, 0).applyQuaternion(this.group.quaternion);
-
-        return [
-            pos.clone().add(forward.clone().multiplyScalar( 0.5)),  // nose
-            pos.clone().add(forward.clone().multiplyScalar(-0.4)),  // tail
-            pos.clone().add(right.clone().multiplyScalar( 0.6)),    // right wingtip
-            pos.clone().add(right.clone().multiplyScalar(-0.6)),    // left wingtip
-            pos.clone().add(up.clone().multiplyScalar( 0.15)),      // top
-            pos.clone().add(up.clone().multiplyScalar(-0.1)),       // bottom
-        ];
+    getCollisionShape() {
+        return { points: this.collisionPoints, box: this.collisionBox };
     }
 
     /* -------------------------------------------------- */
@@ -183,6 +272,7 @@ export class PlaneModel {
     /* -------------------------------------------------- */
 
     createCrashEffect(position) {
+        this._removeCrashEffect();   // one cloud at a time
         const count    = 60;
         const geometry = new THREE.BufferGeometry();
         const posArr   = new Float32Array(count * 3);
@@ -209,16 +299,22 @@ export class PlaneModel {
         this._crashParticles = { particles, velocities, life: 1.0 };
     }
 
+    _removeCrashEffect() {
+        if (!this._crashParticles) return;
+        const { particles } = this._crashParticles;
+        this.scene.remove(particles);
+        particles.geometry.dispose();
+        particles.material.dispose();
+        this._crashParticles = null;
+    }
+
     updateCrashEffect(dt) {
         if (!this._crashParticles) return;
         const { particles, velocities } = this._crashParticles;
         this._crashParticles.life -= dt * 1.5;
 
         if (this._crashParticles.life <= 0) {
-            this.scene.remove(particles);
-            particles.geometry.dispose();
-            particles.material.dispose();
-            this._crashParticles = null;
+            this._removeCrashEffect();
             return;
         }
 
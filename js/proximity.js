@@ -0,0 +1,108 @@
+// ============================================================
+// Proximity – look-ahead terrain & obstacle awareness
+//
+// Every physics step a few rays run ahead of the plane along its
+// velocity (from the centre and from the edges of its collision box)
+// through the occluders OcclusionSystem tracks. The nearest surface
+// it is closing on gives a time to impact, graded like a cockpit
+// warning system:
+//   caution – impact within CAUTION_TIME s   (amber, slow beeps)
+//   warning – impact within WARNING_TIME s   (red, fast beeps)
+// Surfaces facing up (floor, table) raise "PULL UP" – but only when
+// sinking faster than a landing would (TERRAIN_CLOSING); walls,
+// furniture and the ceiling raise their own call-outs.
+//
+// A ray straight down gives the radar altitude: height above
+// whatever is under the plane – floor, table or sofa.
+// ============================================================
+import * as THREE from 'three';
+
+const CAUTION_TIME     = 2.0;   // s
+const WARNING_TIME     = 1.0;   // s
+const TERRAIN_CLOSING  = 1.5;   // m/s sink towards floor / table before it counts
+const OBSTACLE_CLOSING = 0.5;   // m/s towards anything else
+const MIN_SPEED        = 0.5;   // m/s – slower than this nothing is "ahead"
+const RADAR_RANGE      = 50;    // m
+
+const CALLOUTS = {
+    floor:   'PULL UP',
+    table:   'PULL UP',
+    wall:    'WALL AHEAD',
+    ceiling: 'CEILING',
+    object:  'OBSTACLE AHEAD',
+};
+
+export class ProximityMonitor {
+    /** @param {import('./occlusion.js').OcclusionSystem} occlusion */
+    constructor(occlusion) {
+        this.occlusion = occlusion;
+
+        this._dir    = new THREE.Vector3();
+        this._origin = new THREE.Vector3();
+        this._down   = new THREE.Vector3(0, -1, 0);
+    }
+
+    /**
+     * @param {THREE.Vector3} position   – world
+     * @param {THREE.Quaternion} quaternion
+     * @param {THREE.Vector3} velocity   – world, m/s
+     * @param {{ box: THREE.Box3 }} shape – body frame (PlaneModel.getCollisionShape)
+     * @param {Object} [opts]
+     * @param {boolean} [opts.onGround]        – rolling: the floor is no threat
+     * @param {number}  [opts.fallbackAltitude] – radar altitude with nothing below
+     * @returns {{ level: 'caution'|'warning'|null, message: string|null,
+     *             timeToImpact: number, radarAltitude: number }}
+     */
+    update(position, quaternion, velocity, shape, opts = {}) {
+        const alert = {
+            level:         null,
+            message:       null,
+            timeToImpact:  Infinity,
+            radarAltitude: this._radarAltitude(position, opts.fallbackAltitude ?? position.y),
+        };
+
+        const speed = velocity.length();
+        if (speed < MIN_SPEED) return alert;
+
+        // ---- Look ahead along the velocity ----
+        const dir = this._dir.copy(velocity).divideScalar(speed);
+        const far = speed * CAUTION_TIME;
+        for (const offset of lookAheadOffsets(shape.box)) {
+            const origin = this._origin.copy(offset).applyQuaternion(quaternion).add(position);
+            const hit    = this.occlusion.raycast(origin, dir, far);
+            if (!hit) continue;
+
+            const terrain = hit.normal.y > 0.7;
+            if (terrain && opts.onGround) continue;
+            const closing = -velocity.dot(hit.normal);
+            if (closing < (terrain ? TERRAIN_CLOSING : OBSTACLE_CLOSING)) continue;
+
+            const tti = hit.distance / speed;
+            if (tti < alert.timeToImpact) {
+                alert.timeToImpact = tti;
+                alert.message      = CALLOUTS[hit.surface] || CALLOUTS.object;
+            }
+        }
+
+        if (alert.timeToImpact < WARNING_TIME)      alert.level = 'warning';
+        else if (alert.timeToImpact < CAUTION_TIME) alert.level = 'caution';
+        else                                        alert.message = null;
+        return alert;
+    }
+
+    _radarAltitude(position, fallback) {
+        const hit = this.occlusion.raycast(position, this._down, RADAR_RANGE);
+        return hit ? hit.distance : fallback;
+    }
+}
+
+/** Ray starts in the body frame: centre, wingtips, top and bottom. */
+function lookAheadOffsets(box) {
+    return [
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(box.min.x, 0, 0),
+        new THREE.Vector3(box.max.x, 0, 0),
+        new THREE.Vector3(0, box.max.y, 0),
+        new THREE.Vector3(0, box.min.y, 0),
+    ];
+}
@@ -0,0 +1,255 @@
+// ============================================================
+// Ghost Replays – record, store, share and play back runs
+//
+// A run is sampled once per physics tick in COURSE-LOCAL space
+// so it lines up with the course wherever it is anchored next:
+//   • pose     – position (x, y, z) + quaternion (x, y, z, w)
+//   • controls – throttle, pitch, roll, yaw, boost
+//   • events   – checkpoint passes  [tick, ringIndex]
+//
+// Serialized form (JSON, frame data quantized to Int16 and
+// base64-encoded – roughly 32 bytes per tick):
+//   { format: 'arflight-replay', version: 1, levelId, tickRate,
+//     frameCount, events: [[tick, index], …], data: '<base64>' }
+// ============================================================
+import * as THREE from 'three';
+
+export const REPLAY_FORMAT  = 'arflight-replay';
+export const REPLAY_VERSION = 1;
+
+const STORAGE_PREFIX = 'arflight_replay_';
+const STRIDE         = 12;       // values per frame
+
+// Quantization scales (Int16 range ±32767)
+const POS_SCALE  = 100;          // cm  → ±327 m
+const QUAT_SCALE = 32767;
+const CTRL_SCALE = 20000;        // ±1.6 stick deflection
+
+const SCALES = [
+    POS_SCALE, POS_SCALE, POS_SCALE,
+    QUAT_SCALE, QUAT_SCALE, QUAT_SCALE, QUAT_SCALE,
+    CTRL_SCALE, CTRL_SCALE, CTRL_SCALE, CTRL_SCALE, 1,
+];
+
+/* ======================================================
+ *  Recording
+ * ====================================================== */
+
+export class ReplayRecorder {
+    constructor() {
+        this.active   = false;
+        this.levelId  = null;
+        this.tickRate = 60;
+        this._frames  = [];
+        this._events  = [];
+    }
+
+    start(levelId, tickRate) {
+        this.active   = true;
+        this.levelId  = levelId;
+        this.tickRate = tickRate;
+        this._frames  = [];
+        this._events  = [];
+    }
+
+    /**
+     * Append one physics tick (course-local pose).
+     * @param {THREE.Vector3} pos
+     * @param {THREE.Quaternion} quat
+     * @param {{ throttle, pitch, roll, yaw, isBoosting }} controls
+     */
+    recordTick(pos, quat, controls) {
+        if (!this.active) return;
+        this._frames.push(
+            pos.x, pos.y, pos.z,
+            quat.x, quat.y, quat.z, quat.w,
+            controls.throttle, controls.pitch, controls.roll, controls.yaw,
+            controls.isBoosting ? 1 : 0
+        );
+    }
+
+    /** Mark a checkpoint pass at the current tick. */
+    recordCheckpoint(index) {
+        if (!this.active) return;
+        this._events.push([this._frames.length / STRIDE, index]);
+    }
+
+    /** Stop recording and return the replay. */
+    finish() {
+        this.active = false;
+        return {
+            levelId:    this.levelId,
+            tickRate:   this.tickRate,
+            frameCount: this._frames.length / STRIDE,
+            frames:     Float32Array.from(this._frames),
+            events:     this._events.slice(),
+        };
+    }
+
+    cancel() {
+        this.active  = false;
+        this._frames = [];
+        this._events = [];
+    }
+}
+
+/* ======================================================
+ *  Playback
+ * ====================================================== */
+
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+    }
+
+    get duration() {
+        return this.replay.frameCount / this.replay.tickRate;
+    }
+
+    /**
+     * Interpolated course-local pose at `time` seconds into the run.
+     * Frame k was recorded at the end of tick k, i.e. t = (k + 1) / tickRate.
+     * @returns {boolean} false once the replay has ended
+     */
+    sample(time, outPos, outQuat) {
+        const { frames, frameCount, tickRate } = this.replay;
+        if (frameCount === 0) return false;
+
+        const f = time * tickRate - 1;
+        if (f >= frameCount - 1) return false;
+
+        const i0 = Math.max(0, Math.floor(f));
+        const i1 = Math.min(frameCount - 1, i0 + 1);
+        const t  = Math.max(0, Math.min(1, f - i0));
+        const a  = i0 * STRIDE;
+        const b  = i1 * STRIDE;
+
+        outPos.set(
+            frames[a]     + (frames[b]     - frames[a])     * t,
+            frames[a + 1] + (frames[b + 1] - frames[a + 1]) * t,
+            frames[a + 2] + (frames[b + 2] - frames[a + 2]) * t
+        );
+        const q0 = new THREE.Quaternion(frames[a + 3], frames[a + 4], frames[a + 5], frames[a + 6]);
+        const q1 = new THREE.Quaternion(frames[b + 3], frames[b + 4], frames[b + 5], frames[b + 6]);
+        outQuat.slerpQuaternions(q0.normalize(), q1.normalize(), t);
+        return true;
+    }
+
+    /** Recorded throttle at `time` (drives the ghost propeller). */
+    throttleAt(time) {
+        const { frames, frameCount, tickRate } = this.replay;
+        const i = Math.max(0, Math.min(frameCount - 1, Math.round(time * tickRate - 1)));
+        return frames[i * STRIDE + 7] || 0;
+    }
+}
+
+/* ======================================================
+ *  Serialization
+ * ====================================================== */
+
+/** Compact JSON string for storage / sharing. */
+export function serializeReplay(replay) {
+    const q = new Int16Array(replay.frames.length);
+    for (let i = 0; i < q.length; i++) {
+        const v = Math.round(replay.frames[i] * SCALES[i % STRIDE]);
+        q[i] = Math.max(-32767, Math.min(32767, v));
+    }
+
+    return JSON.stringify({
+        format:     REPLAY_FORMAT,
+        version:    REPLAY_VERSION,
+        levelId:    replay.levelId,
+        tickRate:   replay.tickRate,
+        frameCount: replay.frameCount,
+        events:     replay.events,
+        data:       bytesToBase64(new Uint8Array(q.buffer)),
+    });
+}
+
+/**
+ * @param {string} json
+ * @throws {Error} when the text is not a valid replay
+ */
+export function deserializeReplay(json) {
+    let obj;
+    try {
+        obj = JSON.parse(json);
+    } catch {
+        throw new Error('replay is not valid JSON');
+    }
+    if (!obj || obj.format !== REPLAY_FORMAT)
+        throw new Error('not an AR Flight Sim replay');
+    if (obj.version > REPLAY_VERSION)
+        throw new Error(`unsupported replay version ${obj.version}`);
+    if (!(obj.tickRate > 0) || !Number.isInteger(obj.frameCount) || typeof obj.data !== 'string')
+        throw new Error('replay header is incomplete');
+
+    const bytes = base64ToBytes(obj.data);
+    if (bytes.length !== obj.frameCount * STRIDE * 2)
+        throw new Error('replay data is truncated');
+
+    const q      = new Int16Array(bytes.buffer, bytes.byteOffset, obj.frameCount * STRIDE);
+    const frames = new Float32Array(q.length);
+    for (let i = 0; i < q.length; i++) frames[i] = q[i] / SCALES[i % STRIDE];
+
+    return {
+        levelId:    obj.levelId,
+        tickRate:   obj.tickRate,
+        frameCount: obj.frameCount,
+        frames,
+        events:     Array.isArray(obj.events) ? obj.events : [],
+    };
+}
+
+function bytesToBase64(bytes) {
+    let bin = '';
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        bin += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+    const bin   = atob(b64);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+}
+
+/* ======================================================
+ *  Best-run storage (one per level)
+ * ====================================================== */
+
+export function loadBestReplay(levelId) {
+    const raw = localStorage.getItem(STORAGE_PREFIX + levelId);
+    if (!raw) return null;
+    try {
+        return deserializeReplay(raw);
+    } catch (err) {
+        console.warn('⚠️ Stored ghost unreadable – ignoring.', err.message);
+        return null;
+    }
+}
+
+/**
+ * Keep `replay` if it is faster than the stored best for its level.
+ * @returns {boolean} true when stored
+ */
+export function saveBestReplay(replay) {
+    const best = loadBestReplay(replay.levelId);
+    if (best && best.frameCount / best.tickRate <= replay.frameCount / replay.tickRate)
+        return false;
+    try {
+        localStorage.setItem(STORAGE_PREFIX + replay.levelId, serializeReplay(replay));
+        return true;
+    } catch (err) {
+        console.warn('⚠️ Could not store ghost (storage full?).', err.message);
+        return false;
+    }
+}
+
+/** Forget a level's stored ghost (the level was deleted). */
+export function deleteBestReplay(levelId) {
+    localStorage.removeItem(STORAGE_PREFIX + levelId);
+}
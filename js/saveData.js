@@ -0,0 +1,241 @@
+// ============================================================
+// Save Data – versioned player progress in localStorage
+//
+// Schema (version 2), stored under `arflight_save`:
+//   {
+//     version: 2,
+//     settings: {
+//       flightModel,    // 'realistic' | 'arcade'
+//       aircraft,       // hangar pick, an AIRCRAFT id
+//       volume,         // master volume 0–1
+//       muted,          // sound off (volume kept)
+//       controls: {     // stick tuning – only what differs from controls.js
+//         deadZone,     // 0–0.9
+//         expo,         // 0–1
+//         touchShaping, invertPitch, invertRoll, invertYaw,   // booleans
+//       },
+//     },
+//     levels: {
+//       [levelId]: {
+//         bestTime,     // fastest completion (s) or null
+//         bestStars,    // 0–3
+//         attempts,     // runs started
+//         crashes,      // runs ended by a crash
+//         completions,  // runs finished
+//         lastPlayed,   // ISO date string or null
+//       }
+//     }
+//   }
+//
+// The legacy `arflight_completed` counter is migrated on first
+// load; version 1 saves simply gain default settings.
+// ============================================================
+
+export const SAVE_VERSION = 2;
+const SAVE_KEY = 'arflight_save';
+
+const LEGACY_COMPLETED_KEY = 'arflight_completed';
+
+function emptySave() {
+    return { version: SAVE_VERSION, settings: defaultSettings(), levels: {} };
+}
+
+function defaultSettings() {
+    return {
+        flightModel: 'realistic',
+        aircraft:    'trainer',
+        volume:      1,
+        muted:       false,
+        controls:    {},
+    };
+}
+
+const FLIGHT_MODELS = ['realistic', 'arcade'];
+
+const isFlag = (v) => typeof v === 'boolean';
+const CONTROL_OPTIONS = {
+    deadZone:     (v) => Number.isFinite(v) && v >= 0 && v <= 0.9,
+    expo:         (v) => Number.isFinite(v) && v >= 0 && v <= 1,
+    touchShaping: isFlag,
+    invertPitch:  isFlag,
+    invertRoll:   isFlag,
+    invertYaw:    isFlag,
+};
+
+function emptyRecord() {
+    return {
+        bestTime:    null,
+        bestStars:   0,
+        attempts:    0,
+        crashes:     0,
+        completions: 0,
+        lastPlayed:  null,
+    };
+}
+
+// What a stored record field may hold – anything else falls back to emptyRecord()
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const RECORD_FIELDS = {
+    bestTime:    (v) => v === null || (Number.isFinite(v) && v >= 0),
+    bestStars:   (v) => Number.isInteger(v) && v >= 0 && v <= 3,
+    attempts:    isCount,
+    crashes:     isCount,
+    completions: isCount,
+    lastPlayed:  (v) => v === null || (typeof v === 'string' && !Number.isNaN(Date.parse(v))),
+};
+
+/* ---------- load / store ---------- */
+
+/**
+ * Read the save, migrating legacy keys the first time.
+ * A corrupt save falls back to an empty one rather than throwing.
+ */
+export function loadSave() {
+    const raw = localStorage.getItem(SAVE_KEY);
+    if (raw) {
+        try {
+            return normalizeSave(JSON.parse(raw));
+        } catch (err) {
+            console.warn('⚠️ Save data unreadable – starting fresh.', err?.message || '');
+            return emptySave();
+        }
+    }
+
+    const migrated = migrateLegacy();
+    writeSave(migrated);
+    return migrated;
+}
+
+export function writeSave(save) {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(save));
+}
+
+/**
+ * Validate and fill defaults. Throws on data that is not a save.
+ */
+function normalizeSave(data) {
+    if (!data || typeof data !== 'object' || typeof data.levels !== 'object' || data.levels === null)
+        throw new Error('not an AR Flight Sim save file');
+    if (typeof data.version !== 'number' || data.version > SAVE_VERSION)
+        throw new Error(`unsupported save version ${data.version}`);
+
+    const save = emptySave();
+    const settings = data.settings && typeof data.settings === 'object' ? data.settings : {};
+    if (FLIGHT_MODELS.includes(settings.flightModel)) save.settings.flightModel = settings.flightModel;
+    if (typeof settings.aircraft === 'string')        save.settings.aircraft    = settings.aircraft;
+    if (Number.isFinite(settings.volume) && settings.volume >= 0 && settings.volume <= 1) {
+        save.settings.volume = settings.volume;
+    }
+    if (typeof settings.muted === 'boolean')          save.settings.muted       = settings.muted;
+    const controls = settings.controls && typeof settings.controls === 'object' ? settings.controls : {};
+    for (const [key, valid] of Object.entries(CONTROL_OPTIONS)) {
+        if (valid(controls[key])) save.settings.controls[key] = controls[key];
+    }
+
+    for (const [id, rec] of Object.entries(data.levels)) {
+        if (!rec || typeof rec !== 'object') continue;
+        const clean = emptyRecord();
+        for (const [key, valid] of Object.entries(RECORD_FIELDS)) {
+            if (valid(rec[key])) clean[key] = rec[key];
+        }
+        save.levels[id] = clean;
+    }
+    return save;
+}
+
+function migrateLegacy() {
+    const save      = emptySave();
+    const completed = parseInt(localStorage.getItem(LEGACY_COMPLETED_KEY) || '0') || 0;
+
+    // The old counter meant "every level up to this id was cleared"
+    for (let id = 1; id <= completed; id++) {
+        save.levels[id] = { ...emptyRecord(), completions: 1 };
+    }
+
+    localStorage.removeItem(LEGACY_COMPLETED_KEY);
+    return save;
+}
+
+/* ---------- per-level records ---------- */
+
+export function getLevelRecord(levelId) {
+    return loadSave().levels[levelId] || emptyRecord();
+}
+
+function updateLevelRecord(levelId, fn) {
+    const save = loadSave();
+    const rec  = save.levels[levelId] || emptyRecord();
+    const out  = fn(rec);
+    rec.lastPlayed = new Date().toISOString();
+    save.levels[levelId] = rec;
+    writeSave(save);
+    return out;
+}
+
+export function recordAttempt(levelId) {
+    updateLevelRecord(levelId, (rec) => { rec.attempts++; });
+}
+
+export function recordCrash(levelId) {
+    updateLevelRecord(levelId, (rec) => { rec.crashes++; });
+}
+
+/**
+ * @param {number|string} levelId
+ * @param {{ time: number, stars: number }} run
+ * @returns {{ newBestTime: boolean, newBestStars: boolean }}
+ */
+export function recordCompletion(levelId, { time, stars }) {
+    return updateLevelRecord(levelId, (rec) => {
+        rec.completions++;
+        const newBestTime  = rec.bestTime === null || time < rec.bestTime;
+        const newBestStars = stars > rec.bestStars;
+        if (newBestTime)  rec.bestTime  = time;
+        if (newBestStars) rec.bestStars = stars;
+        return { newBestTime, newBestStars };
+    });
+}
+
+export function isLevelCompleted(levelId) {
+    return getLevelRecord(levelId).completions > 0;
+}
+
+/* ---------- settings ---------- */
+
+export function getSettings() {
+    return loadSave().settings;
+}
+
+/**
+ * Merge `patch` into the stored settings (invalid values fall back to defaults).
+ * @returns {Object} the settings now in effect
+ */
+export function updateSettings(patch) {
+    const save = loadSave();
+    const next = normalizeSave({ ...save, settings: { ...save.settings, ...patch } });
+    save.settings = next.settings;
+    writeSave(save);
+    return save.settings;
+}
+
+/* ---------- export / import ---------- */
+
+/** Pretty JSON of the whole save, for moving progress between devices. */
+export function exportSave() {
+    return JSON.stringify(loadSave(), null, 2);
+}
+
+/**
+ * Replace the current save with an exported one.
+ * @param {string} json
+ * @throws {Error} when the file is not a valid save
+ */
+export function importSave(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('file is not valid JSON');
+    }
+    writeSave(normalizeSave(data));
+}
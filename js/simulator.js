@@ -0,0 +1,225 @@
+// ============================================================
+// Simulator Mode – non-AR flight in a virtual room
+//
+// Runs the game in a plain browser tab when WebXR AR is missing
+// (laptops, desktop browsers, phones without ARCore/ARKit):
+//   • SimulatorRoom – synthetic floor, grid, walls & spawn pads
+//   • ChaseCamera   – follows the plane, orbit with mouse / wheel
+// ============================================================
+import * as THREE from 'three';
+
+export class SimulatorRoom {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Object} [opts] – { width, depth, height }  (metres)
+     */
+    constructor(scene, opts = {}) {
+        this.scene  = scene;
+        this.width  = opts.width  || 30;
+        this.depth  = opts.depth  || 30;
+        this.height = opts.height || 8;
+
+        // Fixed spawn poses the placement buttons map to
+        this.floorSpawn = new THREE.Vector3(0, 0, 0);
+        this.airSpawn   = new THREE.Vector3(0, 2, 0);
+
+        this.group = new THREE.Group();
+        this._build();
+        scene.add(this.group);
+
+        this._prevBackground = scene.background;
+        scene.background = new THREE.Color(0x1a2233);
+    }
+
+    _build() {
+        const { width, depth, height } = this;
+
+        // --- Floor ---
+        const floor = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, depth).rotateX(-Math.PI / 2),
+            new THREE.MeshStandardMaterial({ color: 0x555a60, roughness: 0.9 })
+        );
+        floor.renderOrder = -2;
+        this.group.add(floor);
+
+        // --- Grid (1 m squares) ---
+        const grid = new THREE.GridHelper(
+            Math.max(width, depth), Math.max(width, depth), 0x88aaff, 0x333844
+        );
+        grid.position.y = 0.002;
+        this.group.add(grid);
+
+        // --- Walls & ceiling (inside of a box) ---
+        const walls = new THREE.Mesh(
+            new THREE.BoxGeometry(width, height, depth),
+            new THREE.MeshStandardMaterial({
+                color: 0x8899aa, roughness: 1, side: THREE.BackSide,
+            })
+        );
+        walls.position.y = height / 2;
+        this.group.add(walls);
+
+        // --- Spawn pad marker ---
+        const pad = new THREE.Mesh(
+            new THREE.RingGeometry(0.3, 0.4, 32).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: 0x00ff00, side: THREE.DoubleSide })
+        );
+        pad.position.copy(this.floorSpawn);
+        pad.position.y += 0.005;
+        this.group.add(pad);
+    }
+
+    /**
+     * Floor, ceiling and walls in the same shape as
+     * OcclusionSystem.getSurfaces() so course fitting can be tried
+     * without AR (pass ?sim&room=6x5x2.5 for a small room).
+     */
+    getSurfaces() {
+        const { width: w, depth: d, height: h } = this;
+        const rect = (sx, sz) => [
+            { x: -sx / 2, z: -sz / 2 }, { x: sx / 2, z: -sz / 2 },
+            { x:  sx / 2, z:  sz / 2 }, { x: -sx / 2, z: sz / 2 },
+        ];
+        const surface = (orientation, polygon, pos, quat) => ({
+            orientation,
+            polygon,
+            matrix: new THREE.Matrix4().compose(pos, quat, new THREE.Vector3(1, 1, 1)),
+        });
+
+        const Y = new THREE.Vector3(0, 1, 0);
+        const X = new THREE.Vector3(1, 0, 0);
+        // Plane-local +Y is the surface normal (XRPlane convention)
+        const wall = (yaw, pos, span) => surface('vertical', rect(span, h), pos,
+            new THREE.Quaternion().setFromAxisAngle(Y, yaw)
+                .multiply(new THREE.Quaternion().setFromAxisAngle(X, Math.PI / 2)));
+
+        return [
+            surface('horizontal', rect(w, d), new THREE.Vector3(0, 0, 0), new THREE.Quaternion()),
+            surface('horizontal', rect(w, d), new THREE.Vector3(0, h, 0),
+                new THREE.Quaternion().setFromAxisAngle(X, Math.PI)),
+            wall(0,            new THREE.Vector3(0, h / 2, -d / 2), w),
+            wall(Math.PI,      new THREE.Vector3(0, h / 2,  d / 2), w),
+            wall(Math.PI / 2,  new THREE.Vector3(-w / 2, h / 2, 0), d),
+            wall(-Math.PI / 2, new THREE.Vector3( w / 2, h / 2, 0), d),
+        ];
+    }
+
+    dispose() {
+        this.group.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.scene.remove(this.group);
+        this.scene.background = this._prevBackground;
+    }
+}
+
+export class ChaseCamera {
+    /**
+     * @param {HTMLElement} domElement – element receiving drag / wheel
+     * @param {Object} [bounds] – { width, depth, height } to keep camera in
+     */
+    constructor(domElement, bounds = {}) {
+        this.camera = new THREE.PerspectiveCamera(
+            70, window.innerWidth / window.innerHeight, 0.01, 200
+        );
+        this.bounds = bounds;
+
+        // Orbit offsets (radians) & distance behind the target
+        this.orbitYaw   = 0;
+        this.orbitPitch = 0.25;
+        this.distance   = 2.5;
+        this.minDistance = 1;
+        this.maxDistance = 12;
+
+        // Idle view (no plane yet)
+        this.idleTarget = new THREE.Vector3(0, 1, 0);
+        this.idleSpin   = 0.1;  // rad/s slow auto-orbit
+
+        this._heading = 0;
+        this._target  = this.idleTarget.clone();
+        this._dragging = false;
+        this._lastX    = 0;
+        this._lastY    = 0;
+
+        this._bindInput(domElement);
+        this._place(this._target, 0);
+    }
+
+    /* ---------- input ---------- */
+
+    _bindInput(el) {
+        el.addEventListener('pointerdown', (e) => {
+            this._dragging = true;
+            this._lastX = e.clientX;
+            this._lastY = e.clientY;
+        });
+        window.addEventListener('pointerup', () => (this._dragging = false));
+        window.addEventListener('pointermove', (e) => {
+            if (!this._dragging) return;
+            this.orbitYaw   -= (e.clientX - this._lastX) * 0.005;
+            this.orbitPitch += (e.clientY - this._lastY) * 0.005;
+            this.orbitPitch  = THREE.MathUtils.clamp(this.orbitPitch, -0.4, 1.3);
+            this._lastX = e.clientX;
+            this._lastY = e.clientY;
+        });
+        el.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.distance = THREE.MathUtils.clamp(
+                this.distance * (1 + Math.sign(e.deltaY) * 0.1),
+                this.minDistance, this.maxDistance
+            );
+        }, { passive: false });
+    }
+
+    /* ---------- per-frame ---------- */
+
+    /**
+     * Follow the plane (or orbit the room when no pose is given).
+     * @param {number} dt
+     * @param {THREE.Vector3|null} targetPos
+     * @param {THREE.Quaternion|null} targetQuat
+     */
+    update(dt, targetPos = null, targetQuat = null) {
+        if (targetPos && targetQuat) {
+            // Heading only – the camera ignores roll/pitch to stay readable
+            const fwd     = new THREE.Vector3(0, 0, -1).applyQuaternion(targetQuat);
+            const heading = Math.atan2(-fwd.x, -fwd.z);
+
+            // Shortest-path smoothing of the heading
+            let delta = heading - this._heading;
+            delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+            this._heading += delta * (1 - Math.exp(-dt * 4));
+            this._target.lerp(targetPos, 1 - Math.exp(-dt * 10));
+        } else {
+            this._heading += this.idleSpin * dt;
+            this._target.lerp(this.idleTarget, 1 - Math.exp(-dt * 2));
+        }
+
+        this._place(this._target, this._heading + this.orbitYaw);
+    }
+
+    _place(target, yaw) {
+        const d  = this.distance;
+        const cp = Math.cos(this.orbitPitch);
+        const pos = new THREE.Vector3(
+            target.x + Math.sin(yaw) * cp * d,
+            target.y + Math.sin(this.orbitPitch) * d,
+            target.z + Math.cos(yaw) * cp * d
+        );
+
+        // Keep the camera inside the virtual room
+        const { width, depth, height } = this.bounds;
+        if (width)  pos.x = THREE.MathUtils.clamp(pos.x, -width / 2 + 0.2, width / 2 - 0.2);
+        if (depth)  pos.z = THREE.MathUtils.clamp(pos.z, -depth / 2 + 0.2, depth / 2 - 0.2);
+        if (height) pos.y = THREE.MathUtils.clamp(pos.y, 0.2, height - 0.2);
+
+        this.camera.position.copy(pos);
+        this.camera.lookAt(target);
+    }
+
+    onResize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+    }
+}
@@ -0,0 +1,259 @@
+// ============================================================
+// Spatial Index – bounding volume hierarchies for occluder raycasts
+//
+// Each occluder mesh gets a BVH over its triangles, built in the
+// mesh's own space – so it survives pose updates and is rebuilt only
+// when the geometry is (new polygon / mesh, i.e. a new
+// `lastChangedTime`). A small top-level tree over the meshes'
+// world bounds (rebuilt when one moves) picks the meshes a ray can
+// reach; only their triangle trees are walked.
+//
+// Hits look like THREE.Raycaster intersections:
+//   { distance, point (world), face: { normal (object space) }, object }
+// ============================================================
+import * as THREE from 'three';
+
+const LEAF_SIZE = 4;   // triangles per leaf
+
+/* ============================================================
+ *  Per-geometry BVH (object space)
+ * ============================================================ */
+export class TriangleBVH {
+    /** @param {THREE.BufferGeometry} geometry */
+    constructor(geometry) {
+        const pos   = geometry.getAttribute('position');
+        const index = geometry.getIndex();
+        const count = index ? index.count / 3 : pos.count / 3;
+
+        // Flat triangle store: 9 floats per triangle
+        this.triangles = new Float32Array(count * 9);
+        for (let t = 0; t < count; t++) {
+            for (let k = 0; k < 3; k++) {
+                const v = index ? index.getX(t * 3 + k) : t * 3 + k;
+                this.triangles[t * 9 + k * 3]     = pos.getX(v);
+                this.triangles[t * 9 + k * 3 + 1] = pos.getY(v);
+                this.triangles[t * 9 + k * 3 + 2] = pos.getZ(v);
+            }
+        }
+
+        this.order = new Uint32Array(count).map((_, i) => i);
+        this.root  = count > 0 ? this._build(0, count) : null;
+
+        this._a   = new THREE.Vector3();
+        this._b   = new THREE.Vector3();
+        this._c   = new THREE.Vector3();
+        this._hit = new THREE.Vector3();
+        this._inv = new THREE.Vector3();
+    }
+
+    _build(start, end) {
+        const box = new THREE.Box3();
+        const centroids = [];
+        for (let i = start; i < end; i++) {
+            const t = this.order[i] * 9;
+            const c = new THREE.Vector3();
+            for (let k = 0; k < 9; k += 3) {
+                const v = this._vertex(t + k, new THREE.Vector3());
+                box.expandByPoint(v);
+                c.add(v);
+            }
+            centroids.push({ tri: this.order[i], c: c.divideScalar(3) });
+        }
+
+        if (end - start <= LEAF_SIZE) return { box, start, end, left: null, right: null };
+
+        // Median split along the longest axis
+        const size = box.getSize(new THREE.Vector3());
+        const axis = size.x >= size.y && size.x >= size.z ? 'x' : size.y >= size.z ? 'y' : 'z';
+        centroids.sort((p, q) => p.c[axis] - q.c[axis]);
+        centroids.forEach((p, i) => { this.order[start + i] = p.tri; });
+
+        const mid = (start + end) >> 1;
+        return {
+            box, start, end,
+            left:  this._build(start, mid),
+            right: this._build(mid, end),
+        };
+    }
+
+    _vertex(offset, out) {
+        return out.set(
+            this.triangles[offset],
+            this.triangles[offset + 1],
+            this.triangles[offset + 2]
+        );
+    }
+
+    /**
+     * Every triangle hit within `far` of the ray origin (both sides).
+     * @param {THREE.Ray} ray – object space
+     * @param {number} far
+     * @param {Function} onHit – (point, normal) per hit, object space
+     */
+    raycast(ray, far, onHit) {
+        if (!this.root) return;
+        const inv   = inverseDirection(ray, this._inv);
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (rayBoxDistance(ray.origin, inv, node.box) > far) continue;
+
+            if (!node.left) {
+                for (let i = node.start; i < node.end; i++) this._hitTriangle(ray, far, this.order[i], onHit);
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+    }
+
+    _hitTriangle(ray, far, tri, onHit) {
+        const t = tri * 9;
+        const a = this._vertex(t,     this._a);
+        const b = this._vertex(t + 3, this._b);
+        const c = this._vertex(t + 6, this._c);
+        if (!ray.intersectTriangle(a, b, c, false, this._hit)) return;
+
+        const distance = ray.origin.distanceTo(this._hit);
+        if (distance > far) return;
+        const normal = new THREE.Vector3();
+        THREE.Triangle.getNormal(a, b, c, normal);
+        onHit(this._hit.clone(), normal);
+    }
+}
+
+/* ============================================================
+ *  Index over all occluder meshes
+ * ============================================================ */
+export class OccluderIndex {
+    constructor() {
+        // Mesh → { mesh, bvh, worldBox, matrix, inverse }
+        this.entries = new Map();
+        this.top     = null;    // tree over the entries' world boxes
+        this._dirty  = true;
+
+        this._localRay = new THREE.Ray();
+        this._inv      = new THREE.Vector3();
+    }
+
+    get size() { return this.entries.size; }
+
+    /** (Re)build the BVH for a mesh – call when its geometry changed. */
+    set(mesh) {
+        this._dirty = true;
+        this.entries.set(mesh, {
+            mesh,
+            bvh:      new TriangleBVH(mesh.geometry),
+            worldBox: new THREE.Box3(),
+            matrix:   null,                  // matrixWorld the bounds were taken at
+            inverse:  new THREE.Matrix4(),
+        });
+    }
+
+    delete(mesh) {
+        this._dirty = this.entries.delete(mesh) || this._dirty;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.top    = null;
+        this._dirty = true;
+    }
+
+    /**
+     * Bring world bounds up to date with the meshes' current poses –
+     * once per batch of queries; unmoved meshes cost one compare.
+     */
+    refresh() {
+        for (const [mesh, entry] of this.entries) {
+            mesh.updateWorldMatrix(false, false);
+            if (entry.matrix && entry.matrix.equals(mesh.matrixWorld)) continue;
+
+            entry.matrix = (entry.matrix || new THREE.Matrix4()).copy(mesh.matrixWorld);
+            entry.inverse.copy(mesh.matrixWorld).invert();
+            if (entry.bvh.root) entry.worldBox.copy(entry.bvh.root.box).applyMatrix4(mesh.matrixWorld);
+            else entry.worldBox.makeEmpty();
+            this._dirty = true;
+        }
+
+        if (this._dirty) {
+            const list = [...this.entries.values()].filter((e) => !e.worldBox.isEmpty());
+            this.top    = list.length > 0 ? buildTop(list) : null;
+            this._dirty = false;
+        }
+    }
+
+    /**
+     * All occluder hits within `far` along a world ray, nearest first.
+     * @param {THREE.Ray} ray – world space, unit direction
+     * @param {number} far
+     * @returns {{ distance: number, point: THREE.Vector3,
+     *             face: { normal: THREE.Vector3 }, object: THREE.Mesh }[]}
+     */
+    intersect(ray, far) {
+        const hits = [];
+        if (!this.top) return hits;
+
+        const inv   = inverseDirection(ray, this._inv);
+        const stack = [this.top];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (rayBoxDistance(ray.origin, inv, node.box) > far) continue;
+            if (node.left) {
+                stack.push(node.left, node.right);
+                continue;
+            }
+
+            // Rigid poses keep distances, so `far` holds in object space
+            const { mesh, bvh, inverse } = node.entry;
+            const local = this._localRay.copy(ray).applyMatrix4(inverse);
+            local.direction.normalize();
+            bvh.raycast(local, far, (point, normal) => {
+                point.applyMatrix4(mesh.matrixWorld);
+                const distance = ray.origin.distanceTo(point);
+                if (distance <= far) hits.push({ distance, point, face: { normal }, object: mesh });
+            });
+        }
+        return hits.sort((p, q) => p.distance - q.distance);
+    }
+}
+
+/** Top-level tree: one entry per leaf, median splits on box centres. */
+function buildTop(entries) {
+    if (entries.length === 1) return { box: entries[0].worldBox, entry: entries[0], left: null, right: null };
+
+    const box = new THREE.Box3();
+    entries.forEach((e) => box.union(e.worldBox));
+    const size = box.getSize(new THREE.Vector3());
+    const axis = size.x >= size.y && size.x >= size.z ? 'x' : size.y >= size.z ? 'y' : 'z';
+    const centre = (e) => e.worldBox.min[axis] + e.worldBox.max[axis];
+    const sorted = [...entries].sort((p, q) => centre(p) - centre(q));
+
+    const mid = sorted.length >> 1;
+    return {
+        box, entry: null,
+        left:  buildTop(sorted.slice(0, mid)),
+        right: buildTop(sorted.slice(mid)),
+    };
+}
+
+/* ---------- helpers ---------- */
+
+/** Component-wise 1 / direction for the slab test (no infinities). */
+function inverseDirection(ray, out) {
+    return out.set(
+        1 / (ray.direction.x || 1e-30),
+        1 / (ray.direction.y || 1e-30),
+        1 / (ray.direction.z || 1e-30)
+    );
+}
+
+/** Distance along the ray to where it enters the box (0 inside), Infinity on a miss. */
+function rayBoxDistance(origin, inv, box) {
+    if (box.isEmpty()) return Infinity;
+    const x1 = (box.min.x - origin.x) * inv.x, x2 = (box.max.x - origin.x) * inv.x;
+    const y1 = (box.min.y - origin.y) * inv.y, y2 = (box.max.y - origin.y) * inv.y;
+    const z1 = (box.min.z - origin.z) * inv.z, z2 = (box.max.z - origin.z) * inv.z;
+    const tMin = Math.max(0, Math.min(x1, x2), Math.min(y1, y2), Math.min(z1, z2));
+    const tMax = Math.min(Math.max(x1, x2), Math.max(y1, y2), Math.max(z1, z2));
+    return tMax >= tMin ? tMin : Infinity;
+}
@@ -0,0 +1,200 @@
+// ============================================================
+// Wind Field – moving air the plane flies through
+//
+// Everything is defined in course-local space (the course group),
+// so a level's wind turns and shifts with the fitted course:
+//   • base wind  – steady speed + direction from the level
+//   • turbulence – smooth 3D value noise, carried along by the
+//                  base wind and slowly evolving (0 … 1 intensity)
+//   • zones      – level `windZones`:
+//       gust    – sphere of extra wind along `direction` that swells
+//                 and fades (default: the base wind direction)
+//       updraft – vertical column rising at `strength` m/s
+//                 (negative strength = downdraft)
+//       vortex  – air circling the column through `center`
+//                 (axis = `direction`, default up; + = counter-clockwise)
+//
+// sample() returns the world-space air velocity at a world point.
+// ============================================================
+import * as THREE from 'three';
+
+const TURBULENCE_SPEED = 2;     // m/s gust amplitude at turbulence 1
+const TURBULENCE_SCALE = 0.6;   // noise cells per metre
+const TURBULENCE_DRIFT = 0.35;  // how fast the eddies evolve (cells/s)
+const GUST_PERIOD      = 4;     // s – mean swell / fade cycle of gust zones
+
+export class WindField {
+    constructor() {
+        this.base       = new THREE.Vector3();
+        this.turbulence = 0;
+        this.zones      = [];
+        this.time       = 0;
+        this.frame      = null;   // Object3D whose matrixWorld is course-local → world
+
+        this._toLocal = new THREE.Matrix4();
+        this._toWorld = new THREE.Matrix4();
+        this._local   = new THREE.Vector3();
+        this._tmp     = new THREE.Vector3();
+    }
+
+    /**
+     * @param {Object} config
+     * @param {number} config.speed
+     * @param {number[]} config.direction – [x, y, z], course-local
+     * @param {number} config.turbulence  – 0 … 1
+     * @param {Object[]} [config.zones]   – level `windZones`, course-local
+     * @param {THREE.Object3D} [frame]    – course group (identity when omitted)
+     */
+    configure({ speed = 0, direction = [0, 0, 0], turbulence = 0, zones = [] }, frame = null) {
+        this.base.set(...direction);
+        if (this.base.lengthSq() > 0) this.base.normalize();
+        this.base.multiplyScalar(speed);
+        this.turbulence = turbulence;
+        this.frame      = frame;
+        this.time       = 0;
+
+        this.zones = zones.map((z, i) => {
+            const dir = z.direction
+                ? new THREE.Vector3(...z.direction)
+                : z.type === 'gust' ? this.base.clone() : new THREE.Vector3(0, 1, 0);
+            if (dir.lengthSq() > 0) dir.normalize();
+            else dir.set(1, 0, 0);
+            return {
+                type:      z.type,
+                center:    new THREE.Vector3(z.position.x, z.position.y, z.position.z),
+                radius:    z.radius,
+                strength:  z.strength,
+                direction: dir,
+                seed:      i * 17.3,
+            };
+        });
+    }
+
+    clear() {
+        this.configure({});
+    }
+
+    step(dt) {
+        this.time += dt;
+    }
+
+    /**
+     * Air velocity (m/s, world space) at a world position.
+     * @param {THREE.Vector3} worldPos
+     * @param {THREE.Vector3} out
+     * @returns {THREE.Vector3} out
+     */
+    sample(worldPos, out) {
+        const p = this._local.copy(worldPos);
+        if (this.frame) {
+            this._toLocal.copy(this.frame.matrixWorld).invert();
+            p.applyMatrix4(this._toLocal);
+        }
+
+        out.copy(this.base);
+        if (this.turbulence > 0) this._addTurbulence(p, out);
+        for (const zone of this.zones) this._addZone(zone, p, out);
+
+        if (this.frame) {
+            this._toWorld.extractRotation(this.frame.matrixWorld);
+            out.applyMatrix4(this._toWorld);
+        }
+        return out;
+    }
+
+    /* ---- Turbulence ---- */
+
+    /**
+     * Frozen eddies blown along by the base wind, slowly reshaping.
+     * One noise channel per axis; vertical gusts are gentler.
+     */
+    _addTurbulence(p, out) {
+        const t = this.time;
+        const x = (p.x - this.base.x * t) * TURBULENCE_SCALE;
+        const y = (p.y - this.base.y * t) * TURBULENCE_SCALE + t * TURBULENCE_DRIFT;
+        const z = (p.z - this.base.z * t) * TURBULENCE_SCALE;
+        const a = this.turbulence * TURBULENCE_SPEED;
+
+        out.x += fbm(x, y, z, 11) * a;
+        out.y += fbm(x, y, z, 23) * a * 0.5;
+        out.z += fbm(x, y, z, 37) * a;
+    }
+
+    /* ---- Zones ---- */
+
+    _addZone(zone, p, out) {
+        const d = this._tmp.subVectors(p, zone.center);
+
+        switch (zone.type) {
+            case 'gust': {
+                const f = falloff(d.length() / zone.radius);
+                if (f <= 0) return;
+                // Swells and fades on its own rhythm
+                const swell = 0.5 + 0.5 * noise1(this.time / GUST_PERIOD + zone.seed);
+                out.addScaledVector(zone.direction, zone.strength * f * swell);
+                return;
+            }
+            case 'updraft': {
+                const f = falloff(Math.hypot(d.x, d.z) / zone.radius);
+                if (f > 0) out.y += zone.strength * f;
+                return;
+            }
+            case 'vortex': {
+                // Radial offset from the axis → tangential flow around it
+                const axis = zone.direction;
+                d.addScaledVector(axis, -d.dot(axis));
+                const r = d.length();
+                if (r < 1e-6 || r >= zone.radius) return;
+                const speed = zone.strength * Math.sin(Math.PI * r / zone.radius);
+                const tangent = d.cross(axis).negate().divideScalar(r);   // axis × radial
+                out.addScaledVector(tangent, speed);
+                return;
+            }
+        }
+    }
+}
+
+/* ---------- noise helpers ---------- */
+
+/** Smooth bump: 1 at the centre, 0 at (and past) the edge. */
+function falloff(u) {
+    if (u >= 1) return 0;
+    const s = 1 - u * u;
+    return s * s;
+}
+
+/** Lattice hash → [-1, 1). */
+function hash(ix, iy, iz, seed) {
+    let h = Math.imul(ix, 0x27D4EB2D) ^ Math.imul(iy, 0x165667B1) ^
+            Math.imul(iz, 0x1B873593) ^ Math.imul(seed, 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 15), 0x2C1B3C6D);
+    h = Math.imul(h ^ (h >>> 12), 0x297A2D39);
+    h ^= h >>> 15;
+    return ((h >>> 0) / 4294967296) * 2 - 1;
+}
+
+/** Trilinear value noise with smoothstep fades, range ≈ [-1, 1]. */
+function valueNoise(x, y, z, seed) {
+    const ix = Math.floor(x), iy = Math.floor(y), iz = Math.floor(z);
+    const fx = x - ix, fy = y - iy, fz = z - iz;
+    const u = fx * fx * (3 - 2 * fx);
+    const v = fy * fy * (3 - 2 * fy);
+    const w = fz * fz * (3 - 2 * fz);
+
+    const lerp = THREE.MathUtils.lerp;
+    const x00 = lerp(hash(ix, iy,     iz,     seed), hash(ix + 1, iy,     iz,     seed), u);
+    const x10 = lerp(hash(ix, iy + 1, iz,     seed), hash(ix + 1, iy + 1, iz,     seed), u);
+    const x01 = lerp(hash(ix, iy,     iz + 1, seed), hash(ix + 1, iy,     iz + 1, seed), u);
+    const x11 = lerp(hash(ix, iy + 1, iz + 1, seed), hash(ix + 1, iy + 1, iz + 1, seed), u);
+    return lerp(lerp(x00, x10, v), lerp(x01, x11, v), w);
+}
+
+/** Two octaves – big lazy eddies plus some chop. */
+function fbm(x, y, z, seed) {
+    return (valueNoise(x, y, z, seed) * 0.67 +
+            valueNoise(x * 2.1, y * 2.1, z * 2.1, seed + 1) * 0.33);
+}
+
+function noise1(t) {
+    return valueNoise(t, 0, 0, 5);
+}